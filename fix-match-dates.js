@@ -2,6 +2,15 @@
 import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import path from 'path';
+import { openPage } from './src/scraper/index.js';
+import { mapWithPagePool } from './src/scraper/pool/index.js';
+import { withRetry } from './src/scraper/retry/index.js';
+import { SelectorNotFoundError } from './src/scraper/errors/index.js';
+import { getSelector } from './src/scraper/selectors/index.js';
+import { createFailureReport, readFailureReport } from './src/files/failures/index.js';
+import { CONCURRENCY as DEFAULT_CONCURRENCY } from './src/constants/index.js';
+
+const CONCURRENCY = Number(process.env.CONCURRENCY) || DEFAULT_CONCURRENCY;
 
 // ─── Helpers ────────────────────────────────────────────────────
 function parseDate(dateStr) {
@@ -19,15 +28,22 @@ function delay(ms) {
 }
 
 // ─── Process a batch of matches ────────────────────────────────
-async function processBatch(batchFile) {
-  console.log(`🔄 Processing batch: ${batchFile}`);
+// When retryIds is given only those IDs are processed and merged into the batch's existing results
+async function processBatch(batchFile, retryIds = null) {
+  console.log(`🔄 ${retryIds ? 'Retrying failures of' : 'Processing'} batch: ${batchFile}`);
 
   // Load batch file
   const batchPath = path.join(process.cwd(), 'batches', batchFile);
-  const ids = JSON.parse(await fs.readFile(batchPath, 'utf8'));
+  const ids = retryIds ?? JSON.parse(await fs.readFile(batchPath, 'utf8'));
+
+  const batchId = parseInt(batchFile.match(/batch_(\d+)_of/)?.[1] || '0');
+  const outputDir = path.join(process.cwd(), 'results');
+  const resultFile = path.join(outputDir, `results_batch_${batchId}.json`);
+  const previous = retryIds ? JSON.parse(await fs.readFile(resultFile, 'utf8').catch(() => '{}')) : {};
 
-  const fixes = {};
-  const blocked = [];
+  const fixes = { ...previous.fixes };
+  const blocked = (previous.blocked || []).filter(id => !ids.includes(id));
+  const failures = createFailureReport(path.join(outputDir, `failures_batch_${batchId}.json`), { command: 'fix-match-dates', batchFile });
 
   const browser = await puppeteer.launch({
     headless: true,
@@ -38,26 +54,31 @@ async function processBatch(batchFile) {
     ]
   });
 
-  const page = await browser.newPage();
-
   // Optimize page loading
-  await page.setRequestInterception(true);
-  page.on('request', (req) => {
-    // Skip images, fonts and stylesheets to speed up loading
-    const resourceType = req.resourceType();
-    if (['image', 'font', 'stylesheet'].includes(resourceType)) {
-      req.abort();
-    } else {
-      req.continue();
-    }
-  });
+  async function setupPage(page) {
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      // Fixture replay may already have answered this request
+      if (req.isInterceptResolutionHandled()) return;
+
+      // Skip images, fonts and stylesheets to speed up loading
+      const resourceType = req.resourceType();
+      if (['image', 'font', 'stylesheet'].includes(resourceType)) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
 
-  // Set viewport and user agent
-  await page.setViewport({ width: 1366, height: 768 });
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36');
+    // Set viewport and user agent
+    await page.setViewport({ width: 1366, height: 768 });
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36');
+  }
 
-  // Accept cookies once
+  // Accept cookies once, the consent cookie is shared by every page in the pool
   console.log('Handling initial cookie popup...');
+  const page = await openPage(browser);
+  await setupPage(page);
   await page.goto('https://www.flashscore.com', {
     waitUntil: 'domcontentloaded',
     timeout: 20000
@@ -65,7 +86,7 @@ async function processBatch(batchFile) {
 
   // Handle popup
   try {
-    const popupSelector = '#onetrust-accept-btn-handler';
+    const popupSelector = getSelector('consent.acceptButton');
     const popupExists = await page.$(popupSelector);
     if (popupExists) {
       console.log(`Found popup: ${popupSelector}`);
@@ -75,71 +96,65 @@ async function processBatch(batchFile) {
   } catch (e) {
     console.log('Popup handling error (continuing anyway):', e.message);
   }
+  await page.close();
+
+  console.log(`Processing ${ids.length} IDs in batch (${CONCURRENCY} pages)...`);
 
-  console.log(`Processing ${ids.length} IDs in batch...`);
-  for (let i = 0; i < ids.length; i++) {
-    const matchId = ids[i];
+  // Requests go through the shared rate limiter (1-2 second random delay)
+  await mapWithPagePool(browser, ids, async (page, matchId, i) => {
     const url = `https://www.flashscore.com/match/${matchId}/#/match-summary`;
     console.log("getting:",url)
 
     try {
       console.log(`[${i+1}/${ids.length}] Processing ${matchId}...`);
 
-      // Navigate to match page
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
-        timeout: 15000
-      });
-
-      // Wait for date element
-      await page.waitForSelector('.duelParticipant__startTime, .duelParticipant__time', {
-        timeout: 5000
-      }).catch(() => console.log('Warning: Date element not immediately found'));
-
-      // Extract date
-      const dateStr = await page.evaluate(() => {
-        const selectors = [
-          '.duelParticipant__startTime div',
-          '.duelParticipant__time',
-          '.duelParticipant__startTime'
-        ];
-
-        for (const selector of selectors) {
-          const el = document.querySelector(selector);
-          if (el && el.textContent) {
-            return el.textContent.trim();
-          }
+      const date = await withRetry(async () => {
+        // Navigate to match page
+        await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: 15000
+        });
+
+        // Wait for date element
+        await page.waitForSelector(getSelector('match.startTime'), {
+          timeout: 5000
+        }).catch(() => console.log('Warning: Date element not immediately found'));
+
+        // Extract date, the registry tries the fallbacks of the date element in order
+        const dateStr = await page.evaluate(() => window.__selectors.one('match.startTimeText')?.textContent.trim() || null);
+
+        if (!dateStr) {
+          throw new SelectorNotFoundError('Could not find date on page', { selector: getSelector('match.startTimeText') });
         }
-        return null;
-      });
 
-      if (!dateStr) {
-        throw new Error('Could not find date on page');
-      }
+        const dt = parseDate(dateStr);
+        if (isNaN(dt)) throw new Error(`Invalid date: "${dateStr}"`);
 
-      const dt = parseDate(dateStr);
-      if (isNaN(dt)) throw new Error(`Invalid date: "${dateStr}"`);
+        return dt.toISOString();
+      }, { url, stage: 'match-date' });
 
-      fixes[matchId] = dt.toISOString();
-      console.log(`✅ ${matchId} → ${dt.toISOString()}`);
+      return { matchId, date };
     } catch (err) {
-      console.warn(`⚠️ ${matchId} failed: ${err.message}`);
-      blocked.push(matchId);
+      return { matchId, error: err };
     }
-
-    // Small delay between requests - using our safe delay function
-    if (i < ids.length - 1) {
-      const delayTime = 1000 + Math.random() * 1000; // 1-2 second random delay
-      await delay(delayTime);
+  }, {
+    concurrency: CONCURRENCY,
+    setupPage,
+    onResult: ({ matchId, date, error }) => {
+      if (error) {
+        console.warn(`⚠️ ${matchId} failed: ${error.message}`);
+        blocked.push(matchId);
+        failures.add({ id: matchId, stage: 'match-date', error });
+      } else {
+        fixes[matchId] = date;
+        console.log(`✅ ${matchId} → ${date}`);
+      }
     }
-  }
+  });
 
   // Write batch results
-  const batchId = parseInt(batchFile.match(/batch_(\d+)_of/)?.[1] || '0');
-  const outputDir = path.join(process.cwd(), 'results');
   await fs.mkdir(outputDir, { recursive: true });
-
-  const resultFile = path.join(outputDir, `results_batch_${batchId}.json`);
+  failures.write();
   await fs.writeFile(resultFile, JSON.stringify({ fixes, blocked }, null, 2));
 
   console.log(`Batch completed. ${Object.keys(fixes).length} fixed, ${blocked.length} blocked.`);
@@ -193,12 +208,17 @@ async function main() {
 
   if (command === 'process' && param) {
     await processBatch(param);
+  } else if (command === 'retry' && param) {
+    const report = readFailureReport(param);
+    if (!report?.batchFile) throw new Error(`Invalid failures file: ${param}`);
+    await processBatch(report.batchFile, report.failures.map(failure => failure.id));
   } else if (command === 'merge') {
     await mergeResults();
   } else {
     console.log(`
 Usage:
   node fix-match-dates.js process <batch_file>  - Process a specific batch
+  node fix-match-dates.js retry <failures_file> - Re-process the failed IDs of a batch
   node fix-match-dates.js merge                 - Merge all results
     `);
     process.exit(1);
@@ -1,25 +1,32 @@
 #!/usr/bin/env node
 import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, writeFileSync } from 'fs';
 import path from 'path';
 import { performance } from 'perf_hooks';
-import { getListOfCountries } from './src/scraper/services/countries/index.js';
-import { getListOfLeagues } from './src/scraper/services/leagues/index.js';
+import { createLookups } from './src/scraper/lookups/index.js';
+import { createLookupCache } from './src/files/cache/index.js';
+import { createRateLimiter, mapWithPagePool } from './src/scraper/pool/index.js';
+import { withRetry } from './src/scraper/retry/index.js';
+import { getSelector } from './src/scraper/selectors/index.js';
+import { createFailureReport } from './src/files/failures/index.js';
+import { CONCURRENCY as DEFAULT_CONCURRENCY } from './src/constants/index.js';
 
 // === CONFIG ===
 const DEFAULT_TIMEOUT   = 700;   // ms for league table selectors
 const CUP_TIMEOUT       = 100;    // ms for cup/knockout tournaments
 const REQUEST_PAUSE     = 500;    // ms between league fetches
+const CONCURRENCY       = Number(process.env.CONCURRENCY) || DEFAULT_CONCURRENCY;   // pages fetching leagues in parallel
+const CACHE_MODE        = process.argv.includes('--no-cache') ? 'off' : process.argv.includes('--refresh-cache') ? 'refresh' : 'use';   // country and league lists
 
 // === HELPERS ===
 const slug  = url => url.replace(/\/+$/, '').split('/').pop();
 const toUSA = url => url.replace('flashscore.com', 'flashscoreusa.com');
 const isCup  = url => /cup|copa|trophy|shield|knockout/i.test(url);
+const limiter = createRateLimiter(REQUEST_PAUSE);
 
 // Fetch teams for a given league URL
-async function fetchTeams(browser, leagueUrl) {
-  const page      = await browser.newPage();
+async function fetchTeams(page, leagueUrl) {
   const timeout   = isCup(leagueUrl) ? CUP_TIMEOUT : DEFAULT_TIMEOUT;
   const cleanUrl  = leagueUrl.replace(/\/+$/, '');
   const standings = `${cleanUrl}/standings/`;
@@ -33,8 +40,8 @@ async function fetchTeams(browser, leagueUrl) {
 
   // Dismiss cookie banner if present
   try {
-    await page.waitForSelector('#onetrust-accept-btn-handler', { timeout: 5000 });
-    await page.click('#onetrust-accept-btn-handler');
+    await page.waitForSelector(getSelector('consent.acceptButton'), { timeout: 5000 });
+    await page.click(getSelector('consent.acceptButton'));
     console.log('✅ Cookie banner dismissed');
     await page.waitForTimeout(1000);
   } catch {
@@ -43,11 +50,11 @@ async function fetchTeams(browser, leagueUrl) {
 
   try {
     console.log(`→ Waiting for team links (timeout ${timeout}ms)`);
-    await page.waitForSelector('a[href*="/team/"]', { timeout });
+    await page.waitForSelector(getSelector('standings.teamLink'), { timeout });
 
     const teams = await page.evaluate(() => {
       const map = new Map();
-      document.querySelectorAll('a[href*="/team/"]').forEach(a => {
+      window.__selectors.all('standings.teamLink').forEach(a => {
         const m = a.href.match(/\/team\/[^\/]+\/([^\/?#]+)/);
         const name = a.innerText.trim();
         if (m && name && !map.has(m[1])) {
@@ -63,8 +70,6 @@ async function fetchTeams(browser, leagueUrl) {
   } catch (e) {
     console.warn(`⚠ No teams for ${leagueUrl} → ${e.message}`);
     return [];
-  } finally {
-    await page.close();
   }
 }
 
@@ -76,6 +81,7 @@ async function fetchTeams(browser, leagueUrl) {
   const ts     = new Date().toISOString().split('T')[0].replace(/-/g, '');
   const temp   = `./flashscore-temp-${ts}.json`;
   const finalF = `./flashscore-final-${ts}.json`;
+  const failures = createFailureReport(`./flashscore-failures-${ts}.json`, { command: 'scraper-fast' });
   let output   = {};
 
   if (existsSync(temp)) {
@@ -84,6 +90,7 @@ async function fetchTeams(browser, leagueUrl) {
   }
 
   const browser   = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+  const { getListOfCountries, getListOfLeagues } = createLookups(createLookupCache({ mode: CACHE_MODE }));
   const countries = await getListOfCountries(browser);
   console.log(`🌍 Total countries: ${countries.length}`);
 
@@ -101,31 +108,42 @@ async function fetchTeams(browser, leagueUrl) {
     console.log(`→ fetched ${leagues.length} leagues for ${country.name}`);
 
     let totalTeams = 0;
-    for (const league of leagues) {
+    const pending = leagues.filter(league => {
       // skip if already cached
-      if (output[key].leagues[league.name]?.teams?.length) {
-        console.log(`   ✓ skip cached league: ${league.name}`);
-        totalTeams += output[key].leagues[league.name].teams.length;
-        continue;
-      }
+      if (!output[key].leagues[league.name]?.teams?.length) return true;
+      console.log(`   ✓ skip cached league: ${league.name}`);
+      totalTeams += output[key].leagues[league.name].teams.length;
+      return false;
+    });
 
+    await mapWithPagePool(browser, pending, async (page, league) => {
       console.log(`   → league: ${league.name}`);
-      const teams    = await fetchTeams(browser, league.url);
-      const cupFlag  = isCup(league.url) || teams.length === 0;
-
-      output[key].leagues[league.name] = {
-        slug:    slug(league.url),
-        url:     league.url,
-        urlUSA:  toUSA(league.url),
-        isCup:   cupFlag,
-        teams
-      };
-      totalTeams += teams.length;
-
-      // checkpoint after each league
-      await fs.writeFile(temp, JSON.stringify(output, null, 2));
-      await new Promise(r => setTimeout(r, REQUEST_PAUSE));
-    }
+      try {
+        // no retries in the fast run, failures are only reported
+        return await withRetry(() => fetchTeams(page, league.url), { retries: 0, url: league.url, stage: 'teams' });
+      } catch (error) {
+        failures.add({ id: league.url, stage: 'teams', error });
+        return [];
+      }
+    }, {
+      concurrency: CONCURRENCY,
+      limiter,
+      onResult: (teams, league) => {
+        const cupFlag = isCup(league.url) || teams.length === 0;
+
+        output[key].leagues[league.name] = {
+          slug:    slug(league.url),
+          url:     league.url,
+          urlUSA:  toUSA(league.url),
+          isCup:   cupFlag,
+          teams
+        };
+        totalTeams += teams.length;
+
+        // checkpoint after each league
+        writeFileSync(temp, JSON.stringify(output, null, 2));
+      }
+    });
 
     console.log(
       `✅ ${country.name}: ${totalTeams} teams across ${Object.keys(
@@ -135,6 +153,8 @@ async function fetchTeams(browser, leagueUrl) {
   }
 
   await browser.close();
+  failures.write();
+  if (failures.failures.length) console.log(`⚠️ ${failures.failures.length} leagues failed → ${failures.filePath}`);
   await fs.writeFile(finalF, JSON.stringify(output, null, 2));
   console.log(
     `\n🎉 Completed in ${((performance.now() - start) / 1000).toFixed(
@@ -0,0 +1,165 @@
+import { EventEmitter } from 'events';
+import puppeteer from 'puppeteer';
+
+import { CONCURRENCY, H2H_LIMIT, OUTPUT_PATH } from '../constants/index.js';
+
+import { withRetry } from '../scraper/retry/index.js';
+import { SPORT_NAMES } from '../scraper/sports/index.js';
+import { createLookups } from '../scraper/lookups/index.js';
+import { getMatchData } from '../scraper/services/matches/index.js';
+
+import { normalizeMatchData } from '../normalize/index.js';
+import { getSeasonMatchList, getTargetFileName, scrapeSeason } from '../scrape/index.js';
+
+import { FILE_TYPES } from '../files/handle/index.js';
+import { CSV_LAYOUTS } from '../files/csv/index.js';
+import { CACHE_MODES, createLookupCache } from '../files/cache/index.js';
+
+/*
+ * Programmatic API
+ *
+ *   import { Scraper } from './src/api/index.js';
+ *
+ *   const scraper = new Scraper({ sport: 'football' });     or new Scraper({ browser }) to reuse a Puppeteer browser
+ *   const [england] = (await scraper.getCountries()).filter(({ name }) => name === 'England');
+ *   const [premierLeague] = await scraper.getLeagues(england);
+ *   const [season] = await scraper.getSeasons(premierLeague);
+ *
+ *   scraper.on('progress', ({ matchId, done, total }) => ...);
+ *   const summary = await scraper.scrapeSeason({ country: england, league: premierLeague, season }, { fileType: 'json' });
+ *   await scraper.close();
+ *
+ * Methods:
+ *   getCountries({ sport })                 [{ id, name, url }], id is the menu id getLeagues needs
+ *   getLeagues(country, { sport })          [{ name, url }], country is a getCountries entry or its id
+ *   getSeasons(league)                      [{ name, url }] most recent first, league is a getLeagues entry or its url
+ *   getMatches(seasonUrl, { mode })         [{ id, status, fixture }], fixture is set for scheduled matches of the fixtures list
+ *   getMatch(id, options)                   normalized match, see src/normalize for the schema
+ *   scrapeSeason(target, settings, options) scrapes a season to an output file, resolves to the run summary
+ *   close()                                 closes the browser unless it was injected
+ *
+ * Options: { browser, headless, sport, cache }, cache is { mode, ttl, path } to keep the country, league and season lists
+ * on disk under path (see src/files/cache). Without it the lists are always fetched and nothing is written.
+ *
+ * Events of scrapeSeason, each payload has the target fileName:
+ *   "start"     { fileName, filePath, total, cached, pending }
+ *   "progress"  { fileName, matchId, error, done, total }      error is null when the match was scraped
+ *   "end"       the summary scrapeSeason resolves to
+ *
+ * Errors are thrown and the process is never exited. The output writers throw too, a failed write of the output file
+ * rejects scrapeSeason. Only the checkpoint, the failure report and the lookup cache log a failed write to stderr and
+ * go on without it, they are not needed to finish the run.
+ */
+export class Scraper extends EventEmitter {
+  #browser;
+  #injected;
+  #launchOptions;
+  #lookups;
+
+  constructor({ browser = null, headless = 'shell', sport = 'football', cache = null } = {}) {
+    super();
+    if (!SPORT_NAMES.includes(sport)) throw new Error(`Unsupported sport "${sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+    if (cache && cache.mode && !CACHE_MODES.includes(cache.mode)) throw new Error(`Invalid cache mode "${cache.mode}", expected one of: ${CACHE_MODES.join(', ')}`);
+    if (cache && !cache.path) throw new Error('Missing cache path, the lookup cache is only written where it is asked for');
+
+    this.sport = sport;
+    this.#browser = browser ? Promise.resolve(browser) : null;
+    this.#injected = Boolean(browser);
+    this.#launchOptions = { headless };
+    this.#lookups = createLookups(createLookupCache(cache ? { mode: cache.mode, ttl: cache.ttl, cachePath: cache.path } : { mode: 'off' }));
+  }
+
+  async getBrowser() {
+    this.#browser ??= puppeteer.launch(this.#launchOptions).catch((error) => {
+      this.#browser = null;
+      throw error;
+    });
+    return await this.#browser;
+  }
+
+  async close() {
+    if (this.#injected || !this.#browser) return;
+    const browser = await this.#browser;
+    this.#browser = null;
+    await browser.close();
+  }
+
+  async getCountries({ sport = this.sport } = {}) {
+    return await withRetry(() => this.#lookups.getListOfCountries(() => this.getBrowser(), sport), { stage: 'countries' });
+  }
+
+  async getLeagues(country, { sport = this.sport } = {}) {
+    const countryId = typeof country === 'string' ? country : country?.id;
+    return await withRetry(() => this.#lookups.getListOfLeagues(() => this.getBrowser(), countryId, sport), { stage: 'leagues' });
+  }
+
+  async getSeasons(league) {
+    const leagueUrl = typeof league === 'string' ? league : league?.url;
+    return await withRetry(() => this.#lookups.getListOfSeasons(() => this.getBrowser(), leagueUrl), { url: leagueUrl, stage: 'seasons' });
+  }
+
+  async getMatches(seasonUrl, { mode = 'results' } = {}) {
+    return await getSeasonMatchList(await this.getBrowser(), seasonUrl, mode);
+  }
+
+  async getMatch(matchId, { sport = this.sport, lineups = false, playerStats = false, h2h = false, h2hLimit = H2H_LIMIT, odds = false } = {}) {
+    const browser = await this.getBrowser();
+    const data = await withRetry(() => getMatchData(browser, matchId, { sport, lineups, playerStats, h2h, h2hLimit, odds }), { stage: 'match' });
+    return normalizeMatchData(matchId, data, { sport, h2hLimit });
+  }
+
+  /*
+   * target:   { sport, country, league, season, fileName }, entries of getCountries, getLeagues and getSeasons
+   * settings: { fileType, output, mode, concurrency, refresh, csvLayout, csvEvents, lineups, playerStats, h2h, h2hLimit, odds }
+   * options:  { matchIds, signal }, matchIds limits the run to these matches, aborting the signal stops after the matches in progress
+   *
+   * Resolves to { fileName, filePath, failuresPath, total, cached, scraped, failures, interrupted }. Rejects with the
+   * ScraperError of the match list when it could not be loaded, its failuresPath is the report the failure was saved to.
+   */
+  async scrapeSeason(target, settings = {}, { matchIds = null, signal = null } = {}) {
+    const {
+      fileType = 'json',
+      output = OUTPUT_PATH,
+      mode = 'results',
+      concurrency = CONCURRENCY,
+      refresh = false,
+      csvLayout = 'wide',
+      csvEvents = false,
+      lineups = false,
+      playerStats = false,
+      h2h = false,
+      h2hLimit = H2H_LIMIT,
+      odds = false,
+    } = settings;
+    if (!FILE_TYPES.includes(fileType)) throw new Error(`Invalid file type "${fileType}", expected one of: ${FILE_TYPES.join(', ')}`);
+    if (fileType === 'csv' && !CSV_LAYOUTS.includes(csvLayout)) throw new Error(`Invalid CSV layout "${csvLayout}", expected one of: ${CSV_LAYOUTS.join(', ')}`);
+
+    const sport = target.sport ?? this.sport;
+    const fileName = target.fileName ?? getTargetFileName({ ...target, sport, mode });
+    let done = 0;
+    let total = 0;
+
+    const { error, ...summary } = await scrapeSeason(
+      await this.getBrowser(),
+      { ...target, sport, fileName },
+      { fileType, output, mode, concurrency, refresh, csvLayout, csvEvents, lineups, playerStats, h2h, h2hLimit, odds },
+      {
+        retryIds: matchIds ? new Set(matchIds) : null,
+        shouldStop: () => Boolean(signal?.aborted),
+        onStart: ({ filePath, total: matchCount, cached, pending }) => {
+          total = matchCount;
+          done = matchCount - pending;
+          this.emit('start', { fileName, filePath, total, cached, pending });
+        },
+        onProgress: (matchId, error) => this.emit('progress', { fileName, matchId, error, done: ++done, total }),
+      }
+    );
+
+    if (error) {
+      error.failuresPath = summary.failuresPath;
+      throw error;
+    }
+    this.emit('end', summary);
+    return summary;
+  }
+}
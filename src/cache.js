@@ -0,0 +1,70 @@
+import { CACHE_PATH, CACHE_TTL } from './constants/index.js';
+
+import { exitWithError, parseCommandArgs } from './cli/command/index.js';
+
+import { LOOKUP_KINDS } from './scraper/lookups/index.js';
+import { clearCache, listCacheEntries } from './files/cache/index.js';
+
+const USAGE = `
+Usage: node src/cache.js <inspect|clear> [options]
+
+Commands:
+  inspect            List the cached country, league and season lists
+  clear              Delete cached lists, all of them unless filtered
+
+Options:
+  --kind <kind>      Only the ${LOOKUP_KINDS.join(', ')} lists
+  --expired          Only the expired lists
+  --cache-ttl <h>    Hours before a cached list expires (default: ${CACHE_TTL / 3600000})
+  --cache <dir>      Cache directory (default: ${CACHE_PATH})
+  -h, --help         Show this help
+`;
+
+const COMMANDS = ['inspect', 'clear'];
+
+const formatAge = (fetchedAt) => {
+  const hours = (Date.now() - Date.parse(fetchedAt)) / 3600000;
+  if (!(hours >= 0)) return 'unknown age';
+  return hours < 48 ? `${Math.round(hours)}h old` : `${Math.round(hours / 24)}d old`;
+};
+
+const { values, positionals } = parseCommandArgs(
+  {
+    kind: { type: 'string' },
+    expired: { type: 'boolean', default: false },
+    'cache-ttl': { type: 'string', default: String(CACHE_TTL / 3600000) },
+    cache: { type: 'string', default: CACHE_PATH },
+  },
+  { allowPositionals: true }
+);
+
+const [command] = positionals;
+
+if (values.help || !command) {
+  console.info(USAGE);
+  process.exit(values.help ? 0 : 1);
+}
+
+if (!COMMANDS.includes(command)) exitWithError(`Unknown command "${command}", expected one of: ${COMMANDS.join(', ')}`);
+if (values.kind && !LOOKUP_KINDS.includes(values.kind)) exitWithError(`Invalid --kind "${values.kind}", expected one of: ${LOOKUP_KINDS.join(', ')}`);
+
+const ttl = Number(values['cache-ttl']) * 3600000;
+if (!(ttl >= 0)) exitWithError(`Invalid --cache-ttl "${values['cache-ttl']}", expected a number of hours`);
+
+const prefix = values.kind ? `${values.kind}/` : '';
+
+if (command === 'clear') {
+  const count = clearCache(values.cache, { prefix, expiredOnly: values.expired, ttl });
+  console.info(`\n✅ Removed ${count} cached lists from ${values.cache}\n`);
+} else {
+  const entries = listCacheEntries(values.cache, ttl).filter(({ key, expired }) => `${key}`.startsWith(prefix) && (!values.expired || expired));
+  if (!entries.length) {
+    console.info(`\n📝 No cached lists in ${values.cache}\n`);
+  } else {
+    console.info('');
+    entries.forEach(({ key, fetchedAt, expired, items }) => {
+      console.info(`${expired ? '⚠️' : '✅'} ${key ?? 'unreadable entry'}: ${items ?? '?'} items, ${formatAge(fetchedAt)}${expired ? ', expired' : ''}`);
+    });
+    console.info(`\n${entries.length} cached lists, ${entries.filter(({ expired }) => expired).length} expired.\n`);
+  }
+}
@@ -1,18 +1,155 @@
-export const parseArguments = () => {
-  const args = process.argv.slice(2);
-  const options = {
-    country: null,
-    league: null,
-    headless: 'shell',
-    fileType: null,
-  };
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+import { CACHE_TTL, CONCURRENCY, H2H_LIMIT, OUTPUT_PATH } from '../../constants/index.js';
+import { FILE_TYPES } from '../../files/handle/index.js';
+import { CSV_LAYOUTS } from '../../files/csv/index.js';
+import { MATCH_LIST_MODES } from '../../scraper/services/matches/index.js';
+import { SPORT_NAMES } from '../../scraper/sports/index.js';
+
+import { getHeadless } from '../command/index.js';
+
+export const USAGE = `
+Usage: node src/index.js [options]
+
+Options:
+  --country <name>       Country to scrape, e.g. "England"
+  --league <name>        League of the country, e.g. "Premier League"
+  --season <name>        Season of the league, e.g. "2023/2024" (defaults to the latest season)
+  --all-seasons          Scrape every season of the league, or of every league with --all-leagues
+  --all-leagues          Scrape every league of the country
+  --targets <file>       Scrape the league seasons listed in a JSON file, one output file each
+  --sport <name>         Sport to scrape: ${SPORT_NAMES.join(', ')} (default: football, asked when interactive)
+  --mode <mode>          Matches to scrape: ${MATCH_LIST_MODES.join(', ')} (default: results)
+  --format <type>        Output format: ${FILE_TYPES.join(', ')}
+  --output <dir>         Output directory (default: ${OUTPUT_PATH})
+  --concurrency <n>      Number of pages scraping matches in parallel (default: ${CONCURRENCY})
+  --csv-layout <layout>  CSV layout: ${CSV_LAYOUTS.join(', ')} (default: wide)
+  --lineups              Also scrape the lineups tab of every match (slower)
+  --player-stats         Also scrape the player statistics tab of every match (slower)
+  --h2h                  Also scrape the head-to-head tab of every match and fixture (slower)
+  --h2h-limit <n>        Number of recent matches and meetings kept per list (default: ${H2H_LIMIT})
+  --odds                 Also scrape the 1X2, over/under and both teams to score odds of every match and fixture
+  --csv-events           Also export the match events timeline to <name>.events.csv
+  --refresh              Re-fetch already scraped matches whose status changed
+  --no-cache             Fetch the country, league and season lists without the lookup cache
+  --refresh-cache        Fetch the country, league and season lists again and update the lookup cache
+  --cache-ttl <hours>    Hours before a cached country, league or season list expires (default: ${CACHE_TTL / 3600000})
+  --failures <file>      Re-process the failed matches listed in a failures file
+  --record               Record the visited pages as fixtures
+  --replay               Serve the visited pages from recorded fixtures
+  --fixtures <dir>       Fixtures directory used by --record and --replay
+  --no-headless          Show the browser window
+  -h, --help             Show this help
+  -v, --version          Show the version
+`;
+
+const OPTIONS = {
+  country: { type: 'string' },
+  league: { type: 'string' },
+  season: { type: 'string' },
+  'all-seasons': { type: 'boolean', default: false },
+  'all-leagues': { type: 'boolean', default: false },
+  targets: { type: 'string' },
+  sport: { type: 'string' },
+  mode: { type: 'string', default: 'results' },
+  format: { type: 'string' },
+  output: { type: 'string', default: OUTPUT_PATH },
+  concurrency: { type: 'string', default: String(CONCURRENCY) },
+  'csv-layout': { type: 'string', default: 'wide' },
+  lineups: { type: 'boolean', default: false },
+  'player-stats': { type: 'boolean', default: false },
+  h2h: { type: 'boolean', default: false },
+  'h2h-limit': { type: 'string', default: String(H2H_LIMIT) },
+  odds: { type: 'boolean', default: false },
+  'csv-events': { type: 'boolean', default: false },
+  refresh: { type: 'boolean', default: false },
+  'no-cache': { type: 'boolean', default: false },
+  'refresh-cache': { type: 'boolean', default: false },
+  'cache-ttl': { type: 'string', default: String(CACHE_TTL / 3600000) },
+  failures: { type: 'string' },
+  record: { type: 'boolean', default: false },
+  replay: { type: 'boolean', default: false },
+  fixtures: { type: 'string' },
+  'no-headless': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false },
+};
+
+// The original "key=value" and bare word arguments are still accepted
+const LEGACY_ARGUMENTS = { fileType: 'format', csvLayout: 'csv-layout' };
+const LEGACY_FLAGS = ['no-headless', 'refresh', 'record', 'replay'];
 
-  args.forEach((arg) => {
-    if (arg.startsWith('country=')) options.country = arg.split('=')[1];
-    if (arg.startsWith('league=')) options.league = arg.split('=')[1];
-    if (arg.startsWith('fileType=')) options.fileType = arg.split('=')[1];
-    if (arg === 'no-headless') options.headless = false;
-  });
+const normalizeArgument = (arg) => {
+  if (arg.startsWith('-')) return arg;
+  if (LEGACY_FLAGS.includes(arg)) return `--${arg}`;
 
-  return options;
+  const [key, ...value] = arg.split('=');
+  if (!value.length) return arg;
+  return `--${LEGACY_ARGUMENTS[key] ?? key}=${value.join('=')}`;
+};
+
+export class ArgumentError extends Error {}
+
+export const getVersion = () => JSON.parse(fs.readFileSync(new URL('../../../package.json', import.meta.url), 'utf8')).version;
+
+export const parseArguments = (args = process.argv.slice(2)) => {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: args.map(normalizeArgument), options: OPTIONS, strict: true, allowPositionals: false }));
+  } catch (error) {
+    throw new ArgumentError(error.message);
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new ArgumentError(`Invalid --concurrency "${values.concurrency}", expected a positive integer`);
+  const h2hLimit = Number(values['h2h-limit']);
+  if (!Number.isInteger(h2hLimit) || h2hLimit < 1) throw new ArgumentError(`Invalid --h2h-limit "${values['h2h-limit']}", expected a positive integer`);
+  if (!MATCH_LIST_MODES.includes(values.mode)) throw new ArgumentError(`Invalid --mode "${values.mode}", expected one of: ${MATCH_LIST_MODES.join(', ')}`);
+  if (values.format && !FILE_TYPES.includes(values.format)) throw new ArgumentError(`Invalid --format "${values.format}", expected one of: ${FILE_TYPES.join(', ')}`);
+  if (!CSV_LAYOUTS.includes(values['csv-layout'])) throw new ArgumentError(`Invalid --csv-layout "${values['csv-layout']}", expected one of: ${CSV_LAYOUTS.join(', ')}`);
+  if (values.sport && !SPORT_NAMES.includes(values.sport)) throw new ArgumentError(`Invalid --sport "${values.sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+  if (values.format === 'football-data' && values.sport && values.sport !== 'football') throw new ArgumentError('--format football-data is only available for football');
+  const cacheTtl = Number(values['cache-ttl']);
+  if (!(cacheTtl >= 0)) throw new ArgumentError(`Invalid --cache-ttl "${values['cache-ttl']}", expected a number of hours`);
+  if (values['no-cache'] && values['refresh-cache']) throw new ArgumentError('--no-cache and --refresh-cache cannot be used together');
+  if (values.record && values.replay) throw new ArgumentError('--record and --replay cannot be used together');
+  if (values.league && !values.country) throw new ArgumentError('--league requires --country');
+  if (values.season && !values.league && !values['all-leagues']) throw new ArgumentError('--season requires --league');
+  if (values.season && values['all-seasons']) throw new ArgumentError('--season and --all-seasons cannot be used together');
+  if (values.league && values['all-leagues']) throw new ArgumentError('--league and --all-leagues cannot be used together');
+  if (values.targets && (values.country || values['all-leagues'])) throw new ArgumentError('--targets cannot be combined with --country, --league, --season or --all-leagues');
+  if (values.failures && (values.targets || values['all-seasons'] || values['all-leagues'])) {
+    throw new ArgumentError('--failures cannot be combined with --targets, --all-seasons or --all-leagues');
+  }
+
+  return {
+    country: values.country ?? null,
+    league: values.league ?? null,
+    season: values.season ?? null,
+    allSeasons: values['all-seasons'],
+    allLeagues: values['all-leagues'],
+    targets: values.targets ?? null,
+    sport: values.sport ?? null,
+    mode: values.mode,
+    format: values.format ?? null,
+    output: values.output,
+    concurrency,
+    csvLayout: values['csv-layout'],
+    lineups: values.lineups,
+    playerStats: values['player-stats'],
+    h2h: values.h2h,
+    h2hLimit,
+    odds: values.odds,
+    csvEvents: values['csv-events'],
+    refresh: values.refresh,
+    cacheMode: values['no-cache'] ? 'off' : values['refresh-cache'] ? 'refresh' : 'use',
+    cacheTtl: cacheTtl * 3600000,
+    failures: values.failures ?? null,
+    fixturesMode: values.record ? 'record' : values.replay ? 'replay' : null,
+    fixturesPath: values.fixtures ?? null,
+    headless: getHeadless(values),
+    help: values.help,
+    version: values.version,
+  };
 };
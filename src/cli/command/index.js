@@ -0,0 +1,33 @@
+import { parseArgs } from 'util';
+import puppeteer from 'puppeteer';
+
+/*
+ * Shared parts of the command entry points: argument parsing, error exits and the browser launch.
+ * Errors go to stderr, so commands printing data on stdout like watch keep it clean.
+ */
+
+export const exitWithError = (message) => {
+  console.error(`\n❌ ERROR: ${message}`);
+  console.error('Run with --help for usage instructions.\n');
+  process.exit(1);
+};
+
+// Adds -h/--help, and --no-headless for commands that open a browser, invalid arguments exit with an error
+export const parseCommandArgs = (options, { allowPositionals = false, browser = false } = {}) => {
+  try {
+    return parseArgs({
+      options: {
+        ...options,
+        ...(browser && { 'no-headless': { type: 'boolean', default: false } }),
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+      allowPositionals,
+    });
+  } catch (error) {
+    exitWithError(error.message);
+  }
+};
+
+export const getHeadless = (values) => (values['no-headless'] ? false : 'shell');
+
+export const launchBrowser = (values) => puppeteer.launch({ headless: getHeadless(values) });
@@ -1,12 +1,10 @@
 import inquirer from 'inquirer';
 
-import { getListOfCountries } from '../../../scraper/services/countries/index.js';
-
 import { start, stop } from '../../loader/index.js';
 
-export const selectCountry = async (browser) => {
+export const selectCountry = async (scraper, sport) => {
   start();
-  const countries = await getListOfCountries(browser);
+  const countries = await scraper.getCountries({ sport });
   stop();
 
   const options = countries.map((element) => element.name);
@@ -1,13 +1,15 @@
 import inquirer from 'inquirer';
 
+import { FILE_TYPES } from '../../../files/handle/index.js';
+
 export const selectFileType = async () => {
-  const options = ['json', 'csv'];
+  const options = FILE_TYPES;
   const { choice } = await inquirer.prompt([
     {
       type: 'list',
       name: 'choice',
       message: 'Select a output file type:',
-      choices: ['json', 'csv', 'Cancel'],
+      choices: [...options, 'Cancel'],
     },
   ]);
 
@@ -1,12 +1,10 @@
 import inquirer from 'inquirer';
 
-import { getListOfLeagues } from '../../../scraper/services/leagues/index.js';
-
 import { start, stop } from '../../loader/index.js';
 
-export const selectLeague = async (browser, countryId) => {
+export const selectLeague = async (scraper, country, sport) => {
   start();
-  const leagues = await getListOfLeagues(browser, countryId);
+  const leagues = await scraper.getLeagues(country, { sport });
   stop();
   const options = leagues.map((element) => element.name);
 
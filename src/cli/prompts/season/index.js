@@ -1,12 +1,10 @@
 import inquirer from 'inquirer';
 
-import { getListOfSeasons } from '../../../scraper/services/seasons/index.js';
-
 import { start, stop } from '../../loader/index.js';
 
-export const selectSeason = async (browser, leagueUrl) => {
+export const selectSeason = async (scraper, league) => {
   start();
-  const seasons = await getListOfSeasons(browser, leagueUrl);
+  const seasons = await scraper.getSeasons(league);
   stop();
   const options = seasons.map((season) => season.name);
 
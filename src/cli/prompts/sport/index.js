@@ -0,0 +1,22 @@
+import inquirer from 'inquirer';
+
+import { SPORT_NAMES } from '../../../scraper/sports/index.js';
+
+export const selectSport = async () => {
+  const options = SPORT_NAMES;
+  const { choice } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'choice',
+      message: 'Select a sport:',
+      choices: [...options, 'Cancel'],
+    },
+  ]);
+
+  if (choice === 'Cancel') {
+    console.log('No option selected. Exiting...');
+    process.exit(1);
+  }
+
+  return options.find((element) => element === choice);
+};
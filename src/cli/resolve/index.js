@@ -0,0 +1,93 @@
+import { start, stop } from '../loader/index.js';
+
+export class ResolveError extends Error {}
+
+const normalizeName = (text) =>
+  `${text ?? ''}`
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const getDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+export const findByName = (items, query, label) => {
+  const target = normalizeName(query);
+  const candidates = items.map((item) => ({
+    item,
+    name: normalizeName(item.name),
+    slug: normalizeName(item.url?.replace(/\/+$/, '').split('/').pop()),
+  }));
+
+  const exact = candidates.find(({ name, slug }) => name === target || slug === target);
+  if (exact) return exact.item;
+
+  const partial = candidates.filter(({ name, slug }) => name.includes(target) || slug.includes(target));
+  if (partial.length === 1) return partial[0].item;
+  if (partial.length > 1) {
+    const names = partial.slice(0, 5).map(({ item }) => item.name);
+    throw new ResolveError(`"${query}" is ambiguous, it matches several ${label} entries: ${names.join(', ')}${partial.length > 5 ? ', ...' : ''}. Please be more specific.`);
+  }
+
+  const scored = candidates
+    .map((candidate) => ({ ...candidate, distance: Math.min(getDistance(candidate.name, target), getDistance(candidate.slug, target)) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const threshold = Math.max(2, Math.floor(target.length * 0.3));
+  const [best, second] = scored;
+  if (best && best.distance <= threshold && (!second || second.distance > best.distance)) return best.item;
+
+  if (!scored.length) throw new ResolveError(`No ${label} entries available to match "${query}".`);
+  const suggestions = scored.slice(0, 3).map(({ item }) => item.name);
+  throw new ResolveError(`No ${label} matches "${query}". Did you mean: ${suggestions.join(', ')}?`);
+};
+
+const withLoader = async (task) => {
+  start();
+  try {
+    return await task();
+  } finally {
+    stop();
+  }
+};
+
+export const resolveCountry = async (scraper, name, sport) => {
+  const countries = await withLoader(() => scraper.getCountries({ sport }));
+  return findByName(countries, name, 'country');
+};
+
+export const resolveLeague = async (scraper, country, name, sport) => {
+  const leagues = await withLoader(() => scraper.getLeagues(country, { sport }));
+  return findByName(leagues, name, `league in ${country.name}`);
+};
+
+export const resolveSeason = async (scraper, league, name) => {
+  const seasons = await withLoader(() => scraper.getSeasons(league));
+  if (!seasons.length) throw new ResolveError(`No seasons found for ${league.name}.`);
+  return name ? findByName(seasons, name, `season of ${league.name}`) : seasons[0];
+};
+
+export const resolveLeagues = async (scraper, country, sport) => {
+  const leagues = await withLoader(() => scraper.getLeagues(country, { sport }));
+  if (!leagues.length) throw new ResolveError(`No leagues found for ${country.name}.`);
+  return leagues;
+};
+
+export const resolveSeasons = async (scraper, league) => {
+  const seasons = await withLoader(() => scraper.getSeasons(league));
+  if (!seasons.length) throw new ResolveError(`No seasons found for ${league.name}.`);
+  return seasons;
+};
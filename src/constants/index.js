@@ -1,4 +1,19 @@
 export const BASE_URL = 'https://www.flashscore.com';
 export const OUTPUT_PATH = './src/data';
+export const FIXTURES_PATH = './src/fixtures';
+export const CACHE_PATH = './src/cache';
+export const TIMEZONE = 'UTC';
 export const TIMEOUT = 5000;
 export const TIMEOUT_FAST = 2000;
+export const CONCURRENCY = 3;
+export const REQUEST_DELAY_MIN = 1000;
+export const REQUEST_DELAY_MAX = 2000;
+export const RETRIES = 2;
+export const RETRY_DELAY = 1000;
+export const H2H_LIMIT = 10;
+export const WATCH_INTERVAL = 30000;
+export const WATCH_MAX_FAILED_POLLS = 3;
+export const SERVER_PORT = 3000;
+export const CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+export const SQLITE_FILE_NAME = 'flashscore';
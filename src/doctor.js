@@ -0,0 +1,203 @@
+import { BASE_URL, TIMEOUT } from './constants/index.js';
+
+import { exitWithError, launchBrowser, parseCommandArgs } from './cli/command/index.js';
+import { findByName } from './cli/resolve/index.js';
+
+import { openPageAndNavigate, waitAndClick, waitForSelectorSafe } from './scraper/index.js';
+import { withRetry } from './scraper/retry/index.js';
+import { SPORT_NAMES, getSport } from './scraper/sports/index.js';
+import { getSelector, getSelectorKeys, probeSelectors } from './scraper/selectors/index.js';
+import { getListOfCountries } from './scraper/services/countries/index.js';
+import { getListOfLeagues } from './scraper/services/leagues/index.js';
+import { getListOfSeasons } from './scraper/services/seasons/index.js';
+import { getMatchData, getMatchList } from './scraper/services/matches/index.js';
+
+import { parseMatchId } from './normalize/index.js';
+
+const USAGE = `
+Usage: node src/doctor.js [options]
+
+Loads a sample country, league, season and match and checks every selector of the registry in src/scraper/selectors
+against the live pages: matched by the first selector, fell back to a later one, or returned nothing.
+Exits with code 1 when a selector that every page has returned nothing.
+
+Options:
+  --sport <name>     Sport of the sample: ${SPORT_NAMES.join(', ')} (default: football)
+  --country <name>   Sample country (default: England)
+  --league <name>    Sample league (default: Premier League)
+  --match <id>       Sample match id or url (default: the most recent result of the latest season with results)
+  --no-headless      Show the browser window
+  -h, --help         Show this help
+`;
+
+// Only on some pages, e.g. penalties, players without a profile link or seasons short enough to list every match at once
+const OPTIONAL_SELECTORS = new Set([
+  'consent.acceptButton',
+  'matchList.showMore',
+  'matchList.liveRow',
+  'matchList.homeImage',
+  'matchList.awayImage',
+  'result.fullTime',
+  'result.overline',
+  'result.part',
+  'result.sidePart',
+  'result.tiebreak',
+  'events.assist',
+  'events.playerOut',
+  'events.detail',
+  'events.score',
+  'lineups.name',
+  'lineups.reason',
+  'h2h.showMore',
+  'h2h.highlighted',
+  'odds.line',
+  'standings.group',
+  'standings.form',
+  'squad.name',
+  'squad.nationality',
+]);
+
+const printCheck = ({ key, fallbacks, index, count }) => {
+  const name = key.padEnd(26);
+  if (index === 0) console.info(`  ✅ ${name} ${count} × ${fallbacks[0]}`);
+  else if (index > 0) console.info(`  ⚠️ ${name} ${count} × fallback ${index + 1}/${fallbacks.length}: ${fallbacks[index]}`);
+  else if (OPTIONAL_SELECTORS.has(key)) console.info(`  📝 ${name} nothing, not on every page`);
+  else console.info(`  ❌ ${name} nothing, tried: ${fallbacks.join(' | ')}`);
+};
+
+(async () => {
+  const { values } = parseCommandArgs(
+    {
+      sport: { type: 'string', default: 'football' },
+      country: { type: 'string', default: 'England' },
+      league: { type: 'string', default: 'Premier League' },
+      match: { type: 'string' },
+    },
+    { browser: true }
+  );
+
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  if (!SPORT_NAMES.includes(values.sport)) exitWithError(`Invalid --sport "${values.sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+  const matchId = values.match ? (parseMatchId(values.match) ?? values.match) : null;
+
+  const { sport } = values;
+  const { hasEvents, hasLineups } = getSport(sport);
+  const browser = await launchBrowser(values);
+
+  const checks = [];
+  let failedPages = 0;
+
+  const checkPage = async (title, url, areas, { waitFor, params, prepare } = {}) => {
+    console.info(`\n📋 ${title}: ${url}`);
+    try {
+      const results = await withRetry(
+        async () => {
+          const page = await openPageAndNavigate(browser, url);
+          try {
+            if (prepare) await prepare(page);
+            await waitForSelectorSafe(page, getSelector(waitFor, params), TIMEOUT);
+            return await probeSelectors(page, areas.flatMap(getSelectorKeys), params);
+          } finally {
+            await page.close();
+          }
+        },
+        { url, stage: 'doctor' }
+      );
+      results.forEach(printCheck);
+      checks.push(...results);
+    } catch (error) {
+      failedPages++;
+      console.error(`  ❌ ERROR: Unable to load the page (${error.name}: ${error.message})`);
+    }
+  };
+
+  // The samples are loaded through the services, so a broken selector on the way also shows up as an error
+  const loadSample = async (label, task) => {
+    try {
+      return await task();
+    } catch (error) {
+      await browser.close();
+      exitWithError(`Unable to load the sample ${label} (${error.message})`);
+    }
+  };
+
+  const sportUrl = `${BASE_URL}/${sport}/`;
+  await checkPage('Countries', sportUrl, ['consent', 'countries'], {
+    waitFor: 'countries.link',
+    prepare: (page) => waitAndClick(page, getSelector('countries.menuToggle')),
+  });
+  const country = await loadSample('country', async () => {
+    const countries = await withRetry(() => getListOfCountries(browser, sport), { stage: 'countries' });
+    return findByName(countries, values.country, 'country');
+  });
+
+  await checkPage(`Leagues of ${country.name}`, sportUrl, ['leagues'], {
+    waitFor: 'leagues.link',
+    params: { countryId: country.id },
+    prepare: async (page) => {
+      await waitAndClick(page, getSelector('countries.menuToggle'));
+      await waitAndClick(page, getSelector('leagues.country', { countryId: country.id }));
+    },
+  });
+  const league = await loadSample('league', async () => {
+    const leagues = await withRetry(() => getListOfLeagues(browser, country.id, sport), { stage: 'leagues' });
+    return findByName(leagues, values.league, `league in ${country.name}`);
+  });
+
+  await checkPage(`Seasons of ${league.name}`, `${league.url}/archive`, ['seasons'], { waitFor: 'seasons.link' });
+  // The current season can still be without results, the previous one is sampled then
+  const { season, matchList } = await loadSample('season', async () => {
+    const seasons = await withRetry(() => getListOfSeasons(browser, league.url), { url: league.url, stage: 'seasons' });
+    if (!seasons.length) throw new Error(`No seasons listed for ${league.name}`);
+
+    for (const season of seasons.slice(0, 2)) {
+      const matchList = await withRetry(() => getMatchList(browser, season.url), { url: season.url, stage: 'match-list' });
+      if (matchList.length) return { season, matchList };
+    }
+    throw new Error(`No results listed for ${seasons.slice(0, 2).map(({ name }) => name).join(' or ')}`);
+  });
+
+  await checkPage(`Results of ${season.name}`, `${season.url}/results`, ['matchList'], { waitFor: 'matchList.row' });
+  await checkPage(`Standings of ${season.name}`, `${season.url}/standings/`, ['standings'], { waitFor: 'standings.row' });
+
+  const sampleId = matchId ?? matchList[0].id;
+  const match = await loadSample('match', () => withRetry(() => getMatchData(browser, sampleId, { sport }), { stage: 'match' }));
+
+  const matchUrl = `${BASE_URL}/match/${sampleId}/#`;
+  const summaryAreas = hasEvents ? ['match', 'result', 'events'] : ['match', 'result'];
+  await checkPage(`Match ${match.home?.name} - ${match.away?.name}`, `${matchUrl}/match-summary/match-summary`, summaryAreas, { waitFor: 'match.startTime' });
+  await checkPage('Match statistics', `${matchUrl}/match-summary/match-statistics/0`, ['statistics'], { waitFor: 'statistics.row' });
+  if (hasLineups) await checkPage('Lineups', `${matchUrl}/match-summary/lineups`, ['lineups'], { waitFor: 'lineups.container' });
+  await checkPage('Player statistics', `${matchUrl}/match-summary/player-statistics/0`, ['playerStats'], { waitFor: 'playerStats.table' });
+  await checkPage('Head to head', `${matchUrl}/h2h/overall`, ['h2h'], { waitFor: 'h2h.section' });
+  await checkPage('Odds', `${matchUrl}/odds-comparison/1x2-odds/full-time`, ['odds'], { waitFor: 'odds.row' });
+
+  if (match.home?.url) {
+    const teamUrl = match.home.url.replace(/\/+$/, '');
+    await checkPage(`Team ${match.home.name}`, `${teamUrl}/`, ['team'], { waitFor: 'team.name' });
+    await checkPage('Squad', `${teamUrl}/squad/`, ['squad'], { waitFor: 'squad.section' });
+  } else {
+    failedPages++;
+    console.error('\n❌ ERROR: No team link on the sample match, skipped the team and squad pages');
+  }
+
+  await browser.close();
+
+  const fellBack = checks.filter(({ index }) => index > 0);
+  const missing = checks.filter(({ index, key }) => index === -1 && !OPTIONAL_SELECTORS.has(key));
+  const absent = checks.filter(({ index, key }) => index === -1 && OPTIONAL_SELECTORS.has(key));
+
+  console.info(`\n📊 ${checks.length} selectors checked on the sample ${season.name} match ${sampleId}:`);
+  console.info(`  ✅ ${checks.length - fellBack.length - missing.length - absent.length} matched`);
+  console.info(`  ⚠️ ${fellBack.length} fell back${fellBack.length ? `: ${fellBack.map(({ key }) => key).join(', ')}` : ''}`);
+  console.info(`  ❌ ${missing.length} returned nothing${missing.length ? `: ${missing.map(({ key }) => key).join(', ')}` : ''}`);
+  console.info(`  📝 ${absent.length} optional returned nothing${absent.length ? `: ${absent.map(({ key }) => key).join(', ')}` : ''}`);
+  if (failedPages) console.info(`  ❌ ${failedPages} pages could not be checked`);
+  console.info('');
+
+  process.exitCode = missing.length || failedPages ? 1 : 0;
+})();
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+
+import { CACHE_PATH, CACHE_TTL } from '../../constants/index.js';
+
+// use: serve fresh entries from disk, refresh: always fetch and overwrite the entry, off: neither read nor write
+export const CACHE_MODES = ['use', 'refresh', 'off'];
+
+const getEntryPath = (cachePath, key) => path.join(cachePath, `${key.replace(/[^a-zA-Z0-9_-]+/g, '_')}.json`);
+
+const readEntry = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const isExpired = (entry, ttl) => !(Date.now() - Date.parse(entry?.fetchedAt) < ttl);
+
+export const createLookupCache = ({ cachePath = CACHE_PATH, ttl = CACHE_TTL, mode = 'use' } = {}) => {
+  const write = (key, value) => {
+    try {
+      fs.mkdirSync(cachePath, { recursive: true });
+      fs.writeFileSync(getEntryPath(cachePath, key), JSON.stringify({ key, fetchedAt: new Date().toISOString(), value }, null, 2));
+    } catch (error) {
+      console.error(`Error writing to cache file:`, error);
+    }
+  };
+
+  return {
+    mode,
+    // Empty lists are never cached, they usually mean the page did not load
+    wrap: async (key, task) => {
+      if (mode === 'off') return await task();
+
+      if (mode === 'use') {
+        const entry = readEntry(getEntryPath(cachePath, key));
+        if (entry?.key === key && !isExpired(entry, ttl)) return entry.value;
+      }
+
+      const value = await task();
+      if (!Array.isArray(value) || value.length) write(key, value);
+      return value;
+    },
+  };
+};
+
+export const listCacheEntries = (cachePath = CACHE_PATH, ttl = CACHE_TTL) => {
+  if (!fs.existsSync(cachePath)) return [];
+
+  return fs
+    .readdirSync(cachePath)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => {
+      const filePath = path.join(cachePath, file);
+      const entry = readEntry(filePath);
+      return {
+        key: entry?.key ?? null,
+        fetchedAt: entry?.fetchedAt ?? null,
+        expired: isExpired(entry, ttl),
+        items: Array.isArray(entry?.value) ? entry.value.length : null,
+        size: fs.statSync(filePath).size,
+        filePath,
+      };
+    })
+    .sort((a, b) => `${a.key}`.localeCompare(`${b.key}`));
+};
+
+export const clearCache = (cachePath = CACHE_PATH, { prefix = '', expiredOnly = false, ttl = CACHE_TTL } = {}) => {
+  const entries = listCacheEntries(cachePath, ttl).filter(({ key, expired }) => (key ?? '').startsWith(prefix) && (!expiredOnly || expired));
+  entries.forEach(({ filePath }) => fs.unlinkSync(filePath));
+  return entries.length;
+};
@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+
+const getCheckpointPath = (outputPath, fileName) => path.join(outputPath, `${fileName}.checkpoint.ndjson`);
+
+export const loadCheckpoint = (outputPath, fileName) => {
+  const filePath = getCheckpointPath(outputPath, fileName);
+  if (!fs.existsSync(filePath)) return {};
+
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .reduce((acc, line, index) => {
+      if (!line.trim()) return acc;
+      try {
+        const entry = JSON.parse(line);
+        if (entry?.matchId) acc[entry.matchId] = entry;
+      } catch (error) {
+        console.error(`Error reading line ${index + 1} of the checkpoint file, skipped:`, error.message);
+      }
+      return acc;
+    }, {});
+};
+
+export const appendCheckpoint = (outputPath, fileName, entry) => {
+  const filePath = getCheckpointPath(outputPath, fileName);
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error(`Error writing to checkpoint file:`, error);
+  }
+};
+
+// Once a run completed the output holds every checkpointed match, only the latest entry of the listed matches is kept
+export const compactCheckpoint = (outputPath, fileName, matchIds) => {
+  const filePath = getCheckpointPath(outputPath, fileName);
+  if (!fs.existsSync(filePath)) return;
+
+  const checkpoint = loadCheckpoint(outputPath, fileName);
+  const entries = matchIds.filter((matchId) => checkpoint[matchId]).map((matchId) => `${JSON.stringify(checkpoint[matchId])}\n`);
+
+  try {
+    if (!entries.length) {
+      fs.unlinkSync(filePath);
+      return;
+    }
+    fs.writeFileSync(`${filePath}.tmp`, entries.join(''));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    console.error(`Error compacting checkpoint file:`, error);
+  }
+};
@@ -1,40 +1,315 @@
 import fs from 'fs';
 import path from 'path';
-import jsonexport from 'jsonexport';
 
-export const writeCsvToFile = (data, outputPath, fileName) => {
+export const CSV_LAYOUTS = ['wide', 'long'];
+
+const BASE_COLUMNS = [
+  'schemaVersion',
+  'sport',
+  'matchId',
+  'stage',
+  'status',
+  'kickoff',
+  'home_id',
+  'home_name',
+  'home_image',
+  'away_id',
+  'away_name',
+  'away_image',
+  'result_home',
+  'result_away',
+  'regulation_time_home',
+  'regulation_time_away',
+  'penalties_home',
+  'penalties_away',
+];
+
+const EVENT_COLUMNS = [
+  'matchId',
+  'order',
+  'type',
+  'period',
+  'minute',
+  'added_time',
+  'side',
+  'team_id',
+  'team_name',
+  'player',
+  'assist',
+  'player_out',
+  'detail',
+  'score_home',
+  'score_away',
+];
+
+const PLAYER_STATS_COLUMNS = ['matchId', 'kickoff', 'player_id', 'player_name', 'side', 'team_id', 'team_name'];
+
+const ODDS_COLUMNS = ['matchId', 'market', 'line', 'bookmaker', 'selection', 'opening', 'closing'];
+
+const LONG_COLUMNS = ['matchId', 'stage', 'status', 'kickoff', 'side', 'team_id', 'team_name', 'opponent_id', 'opponent_name', 'statistic', 'value'];
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+const sortKeys = (keys) => [...keys].sort((a, b) => a.localeCompare(b));
+
+// Keeps the home, away and tiebreak columns of each period together, in period order
+const sortPeriodKeys = (keys) => [...keys].sort((a, b) => Number(a.split('_')[1]) - Number(b.split('_')[1]));
+
+export const createCsvWriter = (outputPath, fileName, { layout = 'wide', events = false, odds = false, playerStats = false } = {}) => {
+  const writer = layout === 'long' ? createLongCsvWriter(outputPath, fileName) : createWideCsvWriter(outputPath, fileName);
+  const extraWriters = [
+    events && createRowsCsvWriter(outputPath, `${fileName}.events`, EVENT_COLUMNS, convertDataToEventsCsv),
+    odds && createRowsCsvWriter(outputPath, `${fileName}.odds`, ODDS_COLUMNS, convertDataToOddsCsv),
+    playerStats && createPlayerStatsCsvWriter(outputPath, fileName),
+  ].filter(Boolean);
+  return extraWriters.length ? combineWriters(writer, ...extraWriters) : writer;
+};
+
+const combineWriters = (...writers) => ({
+  filePath: writers[0].filePath,
+  open: () => writers.forEach((writer) => writer.open()),
+  append: (matchId, data) => writers.forEach((writer) => writer.append(matchId, data)),
+  close: () => writers.forEach((writer) => writer.close()),
+});
+
+const createWideCsvWriter = (outputPath, fileName) => {
   const filePath = path.join(outputPath, `${fileName}.csv`);
+  const rowsPath = `${filePath}.rows.tmp`;
+  const tempPath = `${filePath}.tmp`;
+  const periodKeys = new Set();
+  const informationKeys = new Set();
+  const statisticKeys = new Set();
+  let fileDescriptor = null;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(rowsPath, 'w');
+    },
+    append: (matchId, data) => {
+      const row = convertDataToCsv(matchId, data);
+      Object.keys(row).forEach((key) => key.startsWith('period_') && periodKeys.add(key));
+      Object.keys(data.information).forEach((key) => informationKeys.add(key));
+      Object.keys(data.statistics).forEach((key) => statisticKeys.add(key));
+      fs.writeSync(fileDescriptor, `${JSON.stringify(row)}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+
+      const header = [
+        ...BASE_COLUMNS,
+        ...sortPeriodKeys(periodKeys),
+        ...sortKeys(informationKeys).filter((key) => !BASE_COLUMNS.includes(key)),
+        ...sortKeys(statisticKeys).flatMap((key) => [`${key}_home`, `${key}_away`]),
+      ];
+      const rows = fs
+        .readFileSync(rowsPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+          const row = JSON.parse(line);
+          return toCsvLine(header.map((column) => row[column]));
+        });
 
-  const csvData = convertDataToCsv(data);
+      fs.writeFileSync(tempPath, [toCsvLine(header), ...rows].join('\n') + '\n');
+      fs.renameSync(tempPath, filePath);
+      fs.unlinkSync(rowsPath);
+    },
+  };
+};
 
-  jsonexport(csvData, (error, fileContent) => {
-    if (error) throw error;
+const createPlayerStatsCsvWriter = (outputPath, fileName) => {
+  const filePath = path.join(outputPath, `${fileName}.players.csv`);
+  const rowsPath = `${filePath}.rows.tmp`;
+  const tempPath = `${filePath}.tmp`;
+  const statisticKeys = new Set();
+  let fileDescriptor = null;
 
-    try {
+  return {
+    filePath,
+    open: () => {
       fs.mkdirSync(path.dirname(filePath), { recursive: true });
-      fs.writeFileSync(filePath, fileContent);
-    } catch (error) {
-      console.error(`Error creating directories or writing to CSV file:`, error);
+      fileDescriptor = fs.openSync(rowsPath, 'w');
+    },
+    append: (matchId, data) => {
+      const rows = convertDataToPlayerStatsCsv(matchId, data);
+      rows.forEach((row) => Object.keys(row.statistics).forEach((key) => statisticKeys.add(key)));
+      if (rows.length) fs.writeSync(fileDescriptor, `${rows.map((row) => JSON.stringify(row)).join('\n')}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+
+      const statisticColumns = sortKeys(statisticKeys);
+      const rows = fs
+        .readFileSync(rowsPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+          const row = JSON.parse(line);
+          return toCsvLine([...PLAYER_STATS_COLUMNS.map((column) => row[column]), ...statisticColumns.map((key) => row.statistics[key])]);
+        });
+
+      fs.writeFileSync(tempPath, [toCsvLine([...PLAYER_STATS_COLUMNS, ...statisticColumns]), ...rows].join('\n') + '\n');
+      fs.renameSync(tempPath, filePath);
+      fs.unlinkSync(rowsPath);
+    },
+  };
+};
+
+const createLongCsvWriter = (outputPath, fileName) => {
+  const filePath = path.join(outputPath, `${fileName}.csv`);
+  const tempPath = `${filePath}.tmp`;
+  let fileDescriptor = null;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(tempPath, 'w');
+      fs.writeSync(fileDescriptor, `${toCsvLine(LONG_COLUMNS)}\n`);
+    },
+    append: (matchId, data) => {
+      const lines = convertDataToLongCsv(matchId, data).map((row) => toCsvLine(LONG_COLUMNS.map((column) => row[column])));
+      if (lines.length) fs.writeSync(fileDescriptor, `${lines.join('\n')}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+};
+
+const createRowsCsvWriter = (outputPath, fileName, columns, convertData) => {
+  const filePath = path.join(outputPath, `${fileName}.csv`);
+  const tempPath = `${filePath}.tmp`;
+  let fileDescriptor = null;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(tempPath, 'w');
+      fs.writeSync(fileDescriptor, `${toCsvLine(columns)}\n`);
+    },
+    append: (matchId, data) => {
+      const lines = convertData(matchId, data).map((row) => toCsvLine(columns.map((column) => row[column])));
+      if (lines.length) fs.writeSync(fileDescriptor, `${lines.join('\n')}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+};
+
+const convertDataToCsv = (matchId, data) => {
+  const { schemaVersion, sport, stage, kickoff, status, home, away, result, information, statistics } = data;
+  const periodsObject = {};
+  const statisticsObject = {};
+
+  (result.periods ?? []).forEach(({ home, away, tiebreak }, index) => {
+    periodsObject[`period_${index + 1}_home`] = home;
+    periodsObject[`period_${index + 1}_away`] = away;
+    if (tiebreak) {
+      periodsObject[`period_${index + 1}_tiebreak_home`] = tiebreak.home;
+      periodsObject[`period_${index + 1}_tiebreak_away`] = tiebreak.away;
     }
   });
+
+  Object.entries(statistics).forEach(([key, { home, away }]) => {
+    statisticsObject[`${key}_home`] = home;
+    statisticsObject[`${key}_away`] = away;
+  });
+
+  return {
+    schemaVersion,
+    sport,
+    matchId,
+    stage,
+    status,
+    kickoff,
+    home_id: home.id,
+    home_name: home.name,
+    home_image: home.image,
+    away_id: away.id,
+    away_name: away.name,
+    away_image: away.image,
+    result_home: result.home,
+    result_away: result.away,
+    regulation_time_home: result.regulationTime?.home,
+    regulation_time_away: result.regulationTime?.away,
+    penalties_home: result.penalties?.home,
+    penalties_away: result.penalties?.away,
+    ...periodsObject,
+    ...information,
+    ...statisticsObject,
+  };
 };
 
-const convertDataToCsv = (data) =>
-  Object.keys(data).map((matchId) => {
-    const { stage, date, status, home, away, result, information, statistics } = data[matchId];
-    const informationObject = {};
-    const statisticsObject = {};
+const convertDataToLongCsv = (matchId, data) => {
+  const { sport = 'football', stage, kickoff, status, home, away, result, statistics } = data;
+  const statisticRows = [
+    [sport === 'football' ? 'goals' : 'score', { home: result.home, away: result.away }],
+    ...(result.periods ?? []).map((period, index) => [`period_${index + 1}`, period]),
+    ...sortKeys(Object.keys(statistics)).map((key) => [key, statistics[key]]),
+  ];
+
+  return statisticRows.flatMap(([statistic, values]) =>
+    [
+      ['home', home, away],
+      ['away', away, home],
+    ].map(([side, team, opponent]) => ({
+      matchId,
+      stage,
+      status,
+      kickoff,
+      side,
+      team_id: team.id,
+      team_name: team.name,
+      opponent_id: opponent.id,
+      opponent_name: opponent.name,
+      statistic,
+      value: values[side],
+    }))
+  );
+};
 
-    information.forEach((info) => {
-      informationObject[info.category.toLowerCase().replace(/ /g, '_')] = info.value;
-    });
+const convertDataToEventsCsv = (matchId, data) =>
+  (data.events ?? []).map((event, index) => ({
+    matchId,
+    order: index + 1,
+    type: event.type,
+    period: event.period,
+    minute: event.minute,
+    added_time: event.addedTime,
+    side: event.side,
+    team_id: data[event.side]?.id,
+    team_name: data[event.side]?.name,
+    player: event.player,
+    assist: event.assist,
+    player_out: event.playerOut,
+    detail: event.detail,
+    score_home: event.score?.home,
+    score_away: event.score?.away,
+  }));
 
-    statistics.forEach((stat) => {
-      statisticsObject[stat.category.toLowerCase().replace(/ /g, '_')] = {
-        home: stat.homeValue,
-        away: stat.awayValue,
-      };
-    });
+const convertDataToOddsCsv = (matchId, data) => (data.odds ?? []).map((odd) => ({ matchId, ...odd }));
 
-    return { matchId, stage, status, date, home, away, result, ...informationObject, ...statisticsObject };
-  });
+const convertDataToPlayerStatsCsv = (matchId, data) =>
+  Object.entries(data.playerStats ?? {}).map(([playerId, { name, side, statistics }]) => ({
+    matchId,
+    kickoff: data.kickoff,
+    player_id: playerId,
+    player_name: name,
+    side,
+    team_id: data[side]?.id,
+    team_name: data[side]?.name,
+    statistics,
+  }));
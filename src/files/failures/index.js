@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+
+export const getFailuresPath = (outputPath, fileName) => path.join(outputPath, `${fileName}.failures.json`);
+
+export const createFailureReport = (filePath, context = {}) => {
+  const failures = [];
+
+  const write = () => {
+    try {
+      if (!failures.length) {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({ ...context, failures }, null, 2));
+    } catch (error) {
+      console.error(`Error writing failures file:`, error);
+    }
+  };
+
+  return {
+    filePath,
+    failures,
+    add: ({ id, url, stage, error }) => {
+      failures.push({
+        id,
+        url: error?.url ?? url ?? null,
+        stage: error?.stage ?? stage ?? null,
+        errorClass: error?.name ?? 'Error',
+        message: error?.message ?? String(error),
+        attempts: error?.attempts ?? 1,
+        failedAt: new Date().toISOString(),
+      });
+      write();
+    },
+    write,
+  };
+};
+
+export const readFailureReport = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading failures file:`, error);
+    return null;
+  }
+};
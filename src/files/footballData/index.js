@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+
+import { toCsvLine } from '../csv/index.js';
+
+// Column layout of https://www.football-data.co.uk/notes.txt, limited to the match and statistics columns
+const COLUMNS = ['Div', 'Date', 'Time', 'HomeTeam', 'AwayTeam', 'FTHG', 'FTAG', 'FTR', 'HTHG', 'HTAG', 'HTR', 'Referee', 'HS', 'AS', 'HST', 'AST', 'HF', 'AF', 'HC', 'AC', 'HY', 'AY', 'HR', 'AR'];
+
+// Division codes of the leagues football-data covers, keyed on the Flashscore league path
+const DIVISIONS = {
+  'england/premier-league': 'E0',
+  'england/championship': 'E1',
+  'england/league-one': 'E2',
+  'england/league-two': 'E3',
+  'england/national-league': 'EC',
+  'scotland/premiership': 'SC0',
+  'scotland/championship': 'SC1',
+  'scotland/league-one': 'SC2',
+  'scotland/league-two': 'SC3',
+  'germany/bundesliga': 'D1',
+  'germany/2-bundesliga': 'D2',
+  'italy/serie-a': 'I1',
+  'italy/serie-b': 'I2',
+  'spain/laliga': 'SP1',
+  'spain/laliga2': 'SP2',
+  'france/ligue-1': 'F1',
+  'france/ligue-2': 'F2',
+  'netherlands/eredivisie': 'N1',
+  'belgium/jupiler-pro-league': 'B1',
+  'portugal/liga-portugal': 'P1',
+  'turkey/super-lig': 'T1',
+  'greece/super-league': 'G1',
+};
+
+// Leagues football-data does not cover keep their name, so the rows can still be grouped by division
+export const getDivision = (country, league) => {
+  const leaguePath = league?.url ? new URL(league.url).pathname.split('/').filter(Boolean).slice(1, 3).join('/') : null;
+  return DIVISIONS[leaguePath] ?? ([country?.name, league?.name].filter(Boolean).join(' ') || null);
+};
+
+const STATISTIC_KEYS = {
+  shots: ['goal_attempts', 'total_shots'],
+  shotsOnTarget: ['shots_on_goal', 'shots_on_target'],
+  fouls: ['fouls'],
+  corners: ['corner_kicks', 'corners'],
+  yellowCards: ['yellow_cards'],
+  redCards: ['red_cards'],
+};
+
+const findStatistic = (statistics, name) => statistics[STATISTIC_KEYS[name].find((key) => statistics[key])] ?? {};
+
+const toResult = (home, away) => {
+  if (!Number.isInteger(home) || !Number.isInteger(away)) return null;
+  if (home > away) return 'H';
+  if (home < away) return 'A';
+  return 'D';
+};
+
+const convertDataToFootballData = (data, division) => {
+  const { kickoff, home, away, result, information, statistics } = data;
+  const [, year, month, day, time] = kickoff?.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2})/) ?? [];
+
+  // football-data full time is the score after 90 minutes, extra time and penalties are not included
+  const fullTime = result.regulationTime ?? { home: result.home, away: result.away };
+  const [halfTime = {}] = result.periods ?? [];
+
+  const shots = findStatistic(statistics, 'shots');
+  const shotsOnTarget = findStatistic(statistics, 'shotsOnTarget');
+  const fouls = findStatistic(statistics, 'fouls');
+  const corners = findStatistic(statistics, 'corners');
+  const yellowCards = findStatistic(statistics, 'yellowCards');
+  const redCards = findStatistic(statistics, 'redCards');
+
+  return {
+    Div: division,
+    Date: year ? `${day}/${month}/${year}` : null,
+    Time: time ?? null,
+    HomeTeam: home.name,
+    AwayTeam: away.name,
+    FTHG: fullTime.home,
+    FTAG: fullTime.away,
+    FTR: toResult(fullTime.home, fullTime.away),
+    HTHG: halfTime.home ?? null,
+    HTAG: halfTime.away ?? null,
+    HTR: toResult(halfTime.home, halfTime.away),
+    Referee: information.referee,
+    HS: shots.home,
+    AS: shots.away,
+    HST: shotsOnTarget.home,
+    AST: shotsOnTarget.away,
+    HF: fouls.home,
+    AF: fouls.away,
+    HC: corners.home,
+    AC: corners.away,
+    HY: yellowCards.home,
+    AY: yellowCards.away,
+    HR: redCards.home,
+    AR: redCards.away,
+  };
+};
+
+export const createFootballDataWriter = (outputPath, fileName, { country, league } = {}) => {
+  const filePath = path.join(outputPath, `${fileName}.football-data.csv`);
+  const tempPath = `${filePath}.tmp`;
+  const division = getDivision(country, league);
+  let fileDescriptor = null;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(tempPath, 'w');
+      fs.writeSync(fileDescriptor, `${toCsvLine(COLUMNS)}\n`);
+    },
+    append: (matchId, data) => {
+      const row = convertDataToFootballData(data, division);
+      fs.writeSync(fileDescriptor, `${toCsvLine(COLUMNS.map((column) => row[column]))}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+};
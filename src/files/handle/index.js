@@ -1,20 +1,55 @@
 import { OUTPUT_PATH } from '../../constants/index.js';
 
-import { writeJsonToFile } from '../../files/json/index.js';
-import { writeCsvToFile } from '../../files/csv/index.js';
+import { createJsonWriter, readJsonFromFile } from '../../files/json/index.js';
+import { createNdjsonWriter, readNdjsonFromFile } from '../../files/ndjson/index.js';
+import { CSV_LAYOUTS, createCsvWriter } from '../../files/csv/index.js';
+import { createSqliteWriter } from '../../files/sqlite/index.js';
+import { createFootballDataWriter } from '../../files/footballData/index.js';
+
+export const FILE_TYPES = ['json', 'ndjson', 'csv', 'football-data', 'sqlite'];
+
+// Output files that readExistingMatchData can resume from, the other file types resume from the checkpoint only
+export const READABLE_FILE_TYPES = ['json', 'ndjson'];
+
+export const createFileWriter = (fileType, fileName, options = {}) => {
+  const outputPath = options.outputPath ?? OUTPUT_PATH;
 
-export const handleFileType = (matchData, fileType, fileName) => {
   switch (fileType) {
     case 'json':
-      writeJsonToFile(matchData, OUTPUT_PATH, fileName);
-      break;
+      return createJsonWriter(outputPath, fileName);
+
+    case 'ndjson':
+      return createNdjsonWriter(outputPath, fileName);
 
     case 'csv':
-      writeCsvToFile(matchData, OUTPUT_PATH, fileName);
-      break;
+      if (options.csvLayout && !CSV_LAYOUTS.includes(options.csvLayout)) {
+        console.error(`\n❌ ERROR: Invalid CSV layout specified, expected one of: ${CSV_LAYOUTS.join(', ')}\n`);
+        return null;
+      }
+      return createCsvWriter(outputPath, fileName, { layout: options.csvLayout, events: options.csvEvents, odds: options.csvOdds, playerStats: options.csvPlayerStats });
+
+    case 'football-data':
+      return createFootballDataWriter(outputPath, fileName, { country: options.country, league: options.league });
+
+    case 'sqlite':
+      return createSqliteWriter(outputPath, fileName, options);
 
     default:
       console.error('\n❌ ERROR: Invalid file type specified.');
       console.info('Please refer to the documentation for usage instructions: https://github.com/gustavofariaa/FlashscoreScraping\n');
+      return null;
+  }
+};
+
+export const readExistingMatchData = (fileType, fileName, outputPath = OUTPUT_PATH) => {
+  switch (fileType) {
+    case 'json':
+      return readJsonFromFile(outputPath, fileName) ?? {};
+
+    case 'ndjson':
+      return readNdjsonFromFile(outputPath, fileName) ?? {};
+
+    default:
+      return {};
   }
 };
@@ -1,14 +1,39 @@
 import fs from 'fs';
 import path from 'path';
 
-export const writeJsonToFile = (data, outputPath, fileName) => {
+export const createJsonWriter = (outputPath, fileName) => {
   const filePath = path.join(outputPath, `${fileName}.json`);
-  const fileContent = JSON.stringify(data, null, 2);
+  const tempPath = `${filePath}.tmp`;
+  let fileDescriptor = null;
+  let count = 0;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(tempPath, 'w');
+      fs.writeSync(fileDescriptor, '{');
+    },
+    append: (matchId, data) => {
+      const value = JSON.stringify(data, null, 2).replace(/\n/g, '\n  ');
+      fs.writeSync(fileDescriptor, `${count++ ? ',' : ''}\n  ${JSON.stringify(matchId)}: ${value}`);
+    },
+    close: () => {
+      fs.writeSync(fileDescriptor, count ? '\n}\n' : '}\n');
+      fs.closeSync(fileDescriptor);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+};
+
+export const readJsonFromFile = (outputPath, fileName) => {
+  const filePath = path.join(outputPath, `${fileName}.json`);
+  if (!fs.existsSync(filePath)) return null;
 
   try {
-    fs.mkdirSync(path.dirname(filePath), { recursive: true });
-    fs.writeFileSync(filePath, fileContent);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (error) {
-    console.error(`Error creating directories or writing to JSON file:`, error);
+    console.error(`Error reading JSON file:`, error);
+    return null;
   }
 };
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+
+export const createNdjsonWriter = (outputPath, fileName) => {
+  const filePath = path.join(outputPath, `${fileName}.ndjson`);
+  const tempPath = `${filePath}.tmp`;
+  let fileDescriptor = null;
+
+  return {
+    filePath,
+    open: () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileDescriptor = fs.openSync(tempPath, 'w');
+    },
+    append: (matchId, data) => {
+      fs.writeSync(fileDescriptor, `${JSON.stringify({ matchId, ...data })}\n`);
+    },
+    close: () => {
+      fs.closeSync(fileDescriptor);
+      fs.renameSync(tempPath, filePath);
+    },
+  };
+};
+
+export const readNdjsonFromFile = (outputPath, fileName) => {
+  const filePath = path.join(outputPath, `${fileName}.ndjson`);
+  if (!fs.existsSync(filePath)) return null;
+
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .reduce((acc, line, index) => {
+      if (!line.trim()) return acc;
+      try {
+        const data = JSON.parse(line);
+        if (data?.matchId) acc[data.matchId] = data;
+      } catch (error) {
+        console.error(`Error reading line ${index + 1} of the NDJSON file, skipped:`, error.message);
+      }
+      return acc;
+    }, {});
+};
@@ -0,0 +1,435 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+import { SQLITE_FILE_NAME } from '../../constants/index.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS countries (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS leagues (
+    id TEXT PRIMARY KEY,
+    country_id TEXT REFERENCES countries (id),
+    name TEXT,
+    url TEXT,
+    is_cup INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS seasons (
+    id TEXT PRIMARY KEY,
+    league_id TEXT REFERENCES leagues (id),
+    name TEXT,
+    url TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT,
+    image TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS league_teams (
+    league_id TEXT REFERENCES leagues (id),
+    team_id TEXT REFERENCES teams (id),
+    PRIMARY KEY (league_id, team_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS matches (
+    id TEXT PRIMARY KEY,
+    season_id TEXT REFERENCES seasons (id),
+    schema_version INTEGER,
+    stage TEXT,
+    kickoff TEXT,
+    status TEXT,
+    home_team_id TEXT REFERENCES teams (id),
+    home_team_name TEXT,
+    away_team_id TEXT REFERENCES teams (id),
+    away_team_name TEXT,
+    home_score INTEGER,
+    away_score INTEGER,
+    regulation_time_home INTEGER,
+    regulation_time_away INTEGER,
+    penalties_home INTEGER,
+    penalties_away INTEGER,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS match_information (
+    match_id TEXT REFERENCES matches (id) ON DELETE CASCADE,
+    key TEXT,
+    value,
+    PRIMARY KEY (match_id, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS match_statistics (
+    match_id TEXT REFERENCES matches (id) ON DELETE CASCADE,
+    key TEXT,
+    home REAL,
+    away REAL,
+    PRIMARY KEY (match_id, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS match_periods (
+    match_id TEXT REFERENCES matches (id) ON DELETE CASCADE,
+    period INTEGER,
+    home INTEGER,
+    away INTEGER,
+    home_tiebreak INTEGER,
+    away_tiebreak INTEGER,
+    PRIMARY KEY (match_id, period)
+  );
+
+  CREATE TABLE IF NOT EXISTS players (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS match_player_statistics (
+    match_id TEXT REFERENCES matches (id) ON DELETE CASCADE,
+    player_id TEXT REFERENCES players (id),
+    team_id TEXT REFERENCES teams (id),
+    side TEXT,
+    key TEXT,
+    value REAL,
+    PRIMARY KEY (match_id, player_id, key)
+  );
+`;
+
+const toSlug = (text) =>
+  `${text ?? ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Countries, leagues and seasons have no exposed Flashscore ID, they are keyed on their URL path instead
+// e.g. https://www.flashscore.com/football/england/premier-league/ -> "england/premier-league"
+// Other sports keep their prefix so they never collide with football, e.g. "basketball/usa/nba"
+export const toPathId = (url) => {
+  if (!url) return null;
+
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  return (segments[0] === 'football' ? segments.slice(1) : segments).join('/');
+};
+
+// The archive links the current season to the bare league URL, so seasons are keyed on their league and years instead
+// e.g. "Premier League 2023/2024" of "england/premier-league" -> "england/premier-league/2023-2024"
+export const getSeasonId = (leagueId, name) => `${leagueId}/${toSlug(name?.match(/\d{4}(?:\/\d{4})?\s*$/)?.[0] ?? name)}`;
+
+export const openDatabase = (filePath) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const database = new Database(filePath);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+  database.exec(SCHEMA);
+  return database;
+};
+
+const prepareStatements = (database) => ({
+  country: database.prepare(`
+    INSERT INTO countries (id, name, url) VALUES (@id, @name, @url)
+    ON CONFLICT (id) DO UPDATE SET name = excluded.name, url = COALESCE(excluded.url, countries.url)
+  `),
+  league: database.prepare(`
+    INSERT INTO leagues (id, country_id, name, url, is_cup) VALUES (@id, @countryId, @name, @url, @isCup)
+    ON CONFLICT (id) DO UPDATE SET
+      country_id = excluded.country_id,
+      name = excluded.name,
+      url = COALESCE(excluded.url, leagues.url),
+      is_cup = COALESCE(excluded.is_cup, leagues.is_cup)
+  `),
+  season: database.prepare(`
+    INSERT INTO seasons (id, league_id, name, url) VALUES (@id, @leagueId, @name, @url)
+    ON CONFLICT (id) DO UPDATE SET league_id = excluded.league_id, name = excluded.name, url = COALESCE(excluded.url, seasons.url)
+  `),
+  team: database.prepare(`
+    INSERT INTO teams (id, name, url, image) VALUES (@id, @name, @url, @image)
+    ON CONFLICT (id) DO UPDATE SET
+      name = COALESCE(excluded.name, teams.name),
+      url = COALESCE(excluded.url, teams.url),
+      image = COALESCE(excluded.image, teams.image)
+  `),
+  leagueTeam: database.prepare(`INSERT OR IGNORE INTO league_teams (league_id, team_id) VALUES (@leagueId, @teamId)`),
+  match: database.prepare(`
+    INSERT INTO matches (
+      id, season_id, schema_version, stage, kickoff, status,
+      home_team_id, home_team_name, away_team_id, away_team_name,
+      home_score, away_score, regulation_time_home, regulation_time_away, penalties_home, penalties_away, updated_at
+    ) VALUES (
+      @id, @seasonId, @schemaVersion, @stage, @kickoff, @status,
+      @homeTeamId, @homeTeamName, @awayTeamId, @awayTeamName,
+      @homeScore, @awayScore, @regulationTimeHome, @regulationTimeAway, @penaltiesHome, @penaltiesAway, @updatedAt
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      season_id = excluded.season_id,
+      schema_version = excluded.schema_version,
+      stage = excluded.stage,
+      kickoff = excluded.kickoff,
+      status = excluded.status,
+      home_team_id = excluded.home_team_id,
+      home_team_name = excluded.home_team_name,
+      away_team_id = excluded.away_team_id,
+      away_team_name = excluded.away_team_name,
+      home_score = excluded.home_score,
+      away_score = excluded.away_score,
+      regulation_time_home = excluded.regulation_time_home,
+      regulation_time_away = excluded.regulation_time_away,
+      penalties_home = excluded.penalties_home,
+      penalties_away = excluded.penalties_away,
+      updated_at = excluded.updated_at
+  `),
+  deleteInformation: database.prepare(`DELETE FROM match_information WHERE match_id = ?`),
+  information: database.prepare(`INSERT INTO match_information (match_id, key, value) VALUES (?, ?, ?)`),
+  deleteStatistics: database.prepare(`DELETE FROM match_statistics WHERE match_id = ?`),
+  statistic: database.prepare(`INSERT INTO match_statistics (match_id, key, home, away) VALUES (?, ?, ?, ?)`),
+  deletePeriods: database.prepare(`DELETE FROM match_periods WHERE match_id = ?`),
+  period: database.prepare(`INSERT INTO match_periods (match_id, period, home, away, home_tiebreak, away_tiebreak) VALUES (?, ?, ?, ?, ?, ?)`),
+  player: database.prepare(`
+    INSERT INTO players (id, name, url) VALUES (@id, @name, @url)
+    ON CONFLICT (id) DO UPDATE SET name = COALESCE(excluded.name, players.name), url = COALESCE(excluded.url, players.url)
+  `),
+  deletePlayerStatistics: database.prepare(`DELETE FROM match_player_statistics WHERE match_id = ?`),
+  playerStatistic: database.prepare(`INSERT INTO match_player_statistics (match_id, player_id, team_id, side, key, value) VALUES (?, ?, ?, ?, ?, ?)`),
+});
+
+const writeMatch = (statements, matchId, data, seasonId) => {
+  const { schemaVersion, stage, kickoff, status, home, away, result, information, statistics, playerStats } = data;
+
+  const upsertTeam = (team) => {
+    if (team?.id) statements.team.run({ id: team.id, name: team.name, url: team.url, image: team.image });
+  };
+
+  upsertTeam(home);
+  upsertTeam(away);
+
+  statements.match.run({
+    id: matchId,
+    seasonId,
+    schemaVersion,
+    stage,
+    kickoff,
+    status,
+    homeTeamId: home.id,
+    homeTeamName: home.name,
+    awayTeamId: away.id,
+    awayTeamName: away.name,
+    homeScore: result.home,
+    awayScore: result.away,
+    regulationTimeHome: result.regulationTime?.home ?? null,
+    regulationTimeAway: result.regulationTime?.away ?? null,
+    penaltiesHome: result.penalties?.home ?? null,
+    penaltiesAway: result.penalties?.away ?? null,
+    updatedAt: new Date().toISOString(),
+  });
+
+  statements.deletePeriods.run(matchId);
+  (result.periods ?? []).forEach(({ home, away, tiebreak }, index) => {
+    statements.period.run(matchId, index + 1, home, away, tiebreak?.home ?? null, tiebreak?.away ?? null);
+  });
+
+  statements.deleteInformation.run(matchId);
+  Object.entries(information).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) statements.information.run(matchId, key, value);
+  });
+
+  statements.deleteStatistics.run(matchId);
+  Object.entries(statistics).forEach(([key, { home, away }]) => statements.statistic.run(matchId, key, home, away));
+
+  if (playerStats) {
+    statements.deletePlayerStatistics.run(matchId);
+    Object.entries(playerStats).forEach(([playerId, { name, url, side, statistics }]) => {
+      statements.player.run({ id: playerId, name, url });
+      Object.entries(statistics).forEach(([key, value]) => {
+        statements.playerStatistic.run(matchId, playerId, data[side]?.id ?? null, side, key, value);
+      });
+    });
+  }
+};
+
+export const createSqliteWriter = (outputPath, fileName, { country, league, season } = {}) => {
+  const filePath = path.join(outputPath, `${SQLITE_FILE_NAME}.sqlite`);
+  let database = null;
+  let statements = null;
+  let seasonId = null;
+
+  return {
+    filePath,
+    open: () => {
+      database = openDatabase(filePath);
+      statements = prepareStatements(database);
+
+      const countryId = toPathId(country?.url) ?? toSlug(country?.name);
+      const leagueId = toPathId(league?.url) ?? `${countryId}/${toSlug(league?.name)}`;
+      seasonId = season?.name ? getSeasonId(leagueId, season.name) : fileName;
+
+      database.transaction(() => {
+        statements.country.run({ id: countryId, name: country?.name ?? null, url: country?.url ?? null });
+        statements.league.run({ id: leagueId, countryId, name: league?.name ?? null, url: league?.url ?? null, isCup: null });
+        statements.season.run({ id: seasonId, leagueId, name: season?.name ?? null, url: season?.url ?? null });
+      })();
+    },
+    append: (matchId, data) => {
+      database.transaction(() => writeMatch(statements, matchId, data, seasonId))();
+    },
+    close: () => {
+      database.close();
+    },
+  };
+};
+
+export const importTeamCatalog = (filePath, catalog) => {
+  const database = openDatabase(filePath);
+  const statements = prepareStatements(database);
+  let teamCount = 0;
+
+  database.transaction(() => {
+    Object.entries(catalog).forEach(([countryName, country]) => {
+      const countryId = toPathId(country.url) ?? country.slug;
+      statements.country.run({ id: countryId, name: countryName, url: country.url ?? null });
+
+      Object.entries(country.leagues ?? {}).forEach(([leagueName, league]) => {
+        const leagueId = toPathId(league.url) ?? `${countryId}/${league.slug}`;
+        const isCup = league.isCup === undefined ? null : Number(league.isCup);
+        statements.league.run({ id: leagueId, countryId, name: leagueName, url: league.url ?? null, isCup });
+
+        (league.teams ?? [])
+          .filter((team) => team.id && team.id !== 'isCup')
+          .forEach((team) => {
+            statements.team.run({ id: team.id, name: team.name, url: team.url ?? null, image: null });
+            statements.leagueTeam.run({ leagueId, teamId: team.id });
+            teamCount++;
+          });
+      });
+    });
+  })();
+
+  database.close();
+  return teamCount;
+};
+
+const toScore = (home, away) => (home === null && away === null ? null : { home, away });
+
+const toMatchSummary = (row) => ({
+  matchId: row.id,
+  seasonId: row.season_id,
+  schemaVersion: row.schema_version,
+  stage: row.stage,
+  kickoff: row.kickoff,
+  status: row.status,
+  home: { id: row.home_team_id, name: row.home_team_name },
+  away: { id: row.away_team_id, name: row.away_team_name },
+  result: {
+    home: row.home_score,
+    away: row.away_score,
+    regulationTime: toScore(row.regulation_time_home, row.regulation_time_away),
+    penalties: toScore(row.penalties_home, row.penalties_away),
+  },
+  updatedAt: row.updated_at,
+});
+
+/*
+ * Read and write access to the SQLite data store, used by the HTTP server
+ *
+ * Lists are returned as plain objects keyed like the normalized match schema, ids are the path ids of toPathId and
+ * the season ids of getSeasonId.
+ * getMatch adds the information, statistics, periods and player statistics tables to the match row.
+ */
+export const createSqliteStore = (filePath) => {
+  const database = openDatabase(filePath);
+  const statements = prepareStatements(database);
+
+  const getLeague = (id) => {
+    const row = database.prepare(`SELECT id, country_id AS countryId, name, url, is_cup AS isCup FROM leagues WHERE id = ?`).get(id);
+    return row ? { ...row, isCup: row.isCup === null ? null : Boolean(row.isCup) } : null;
+  };
+
+  return {
+    filePath,
+    getCountries: (sport = 'football') => database.prepare(`SELECT id, name, url FROM countries WHERE url LIKE ? ORDER BY name`).all(`%/${sport}/%`),
+    getCountry: (id) => database.prepare(`SELECT id, name, url FROM countries WHERE id = ?`).get(id) ?? null,
+    getLeagues: (countryId) =>
+      database
+        .prepare(`SELECT id FROM leagues WHERE country_id = ? ORDER BY name`)
+        .all(countryId)
+        .map(({ id }) => getLeague(id)),
+    getLeague,
+    getSeasons: (leagueId) => database.prepare(`SELECT id, league_id AS leagueId, name, url FROM seasons WHERE league_id = ? ORDER BY name DESC`).all(leagueId),
+    getSeason: (id) => database.prepare(`SELECT id, league_id AS leagueId, name, url FROM seasons WHERE id = ?`).get(id) ?? null,
+    getSeasonMatches: (seasonId) => database.prepare(`SELECT * FROM matches WHERE season_id = ? ORDER BY kickoff, id`).all(seasonId).map(toMatchSummary),
+    getMatch: (id) => {
+      const row = database.prepare(`SELECT * FROM matches WHERE id = ?`).get(id);
+      if (!row) return null;
+
+      const match = toMatchSummary(row);
+      match.result.periods = database
+        .prepare(`SELECT home, away, home_tiebreak, away_tiebreak FROM match_periods WHERE match_id = ? ORDER BY period`)
+        .all(id)
+        .map(({ home, away, home_tiebreak, away_tiebreak }) => ({ home, away, tiebreak: toScore(home_tiebreak, away_tiebreak) }));
+      match.information = Object.fromEntries(
+        database
+          .prepare(`SELECT key, value FROM match_information WHERE match_id = ?`)
+          .all(id)
+          .map(({ key, value }) => [key, value])
+      );
+      match.statistics = Object.fromEntries(
+        database
+          .prepare(`SELECT key, home, away FROM match_statistics WHERE match_id = ?`)
+          .all(id)
+          .map(({ key, home, away }) => [key, { home, away }])
+      );
+
+      const playerStatistics = database
+        .prepare(
+          `SELECT s.player_id, p.name, p.url, s.side, s.key, s.value FROM match_player_statistics s LEFT JOIN players p ON p.id = s.player_id WHERE s.match_id = ? ORDER BY s.rowid`
+        )
+        .all(id);
+      match.playerStats = playerStatistics.length
+        ? playerStatistics.reduce((acc, { player_id, name, url, side, key, value }) => {
+            acc[player_id] ??= { name, url, side, statistics: {} };
+            acc[player_id].statistics[key] = value;
+            return acc;
+          }, {})
+        : null;
+
+      return match;
+    },
+    getTeams: (leagueId) =>
+      leagueId
+        ? database.prepare(`SELECT t.id, t.name, t.url, t.image FROM league_teams lt JOIN teams t ON t.id = lt.team_id WHERE lt.league_id = ? ORDER BY t.name`).all(leagueId)
+        : database.prepare(`SELECT id, name, url, image FROM teams ORDER BY name`).all(),
+    saveCountries: (countries) => {
+      database.transaction(() => {
+        countries.forEach(({ name, url }) => statements.country.run({ id: toPathId(url), name, url }));
+      })();
+    },
+    saveLeagues: (countryId, leagues) => {
+      database.transaction(() => {
+        leagues.forEach(({ name, url }) => statements.league.run({ id: toPathId(url), countryId, name, url, isCup: null }));
+      })();
+    },
+    saveSeasons: (leagueId, seasons) => {
+      database.transaction(() => {
+        seasons.forEach(({ name, url }) => statements.season.run({ id: getSeasonId(leagueId, name), leagueId, name, url }));
+      })();
+    },
+    saveLeagueTeams: (leagueId, teams) => {
+      database.transaction(() => {
+        teams.forEach(({ id, name, url }) => {
+          statements.team.run({ id, name, url, image: null });
+          statements.leagueTeam.run({ leagueId, teamId: id });
+        });
+      })();
+    },
+    saveMatch: (matchId, data, seasonId = null) => {
+      database.transaction(() => writeMatch(statements, matchId, data, seasonId))();
+    },
+    close: () => {
+      database.close();
+    },
+  };
+};
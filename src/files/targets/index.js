@@ -0,0 +1,32 @@
+import fs from 'fs';
+
+import { SPORT_NAMES } from '../../scraper/sports/index.js';
+
+/*
+ * Targets file, a JSON array of league seasons to scrape:
+ *
+ * [
+ *   { "country": "England", "league": "Premier League", "season": "2023/2024" },
+ *   { "sport": "basketball", "country": "USA", "league": "NBA", "allSeasons": true },
+ * ]
+ *
+ * sport and season are optional, an entry without season scrapes the latest one unless allSeasons is set.
+ */
+export const readTargetsFile = (filePath) => {
+  const targets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(targets) || !targets.length) throw new Error('expected a non-empty JSON array of targets');
+
+  return targets.map((target, index) => {
+    if (typeof target?.country !== 'string' || typeof target?.league !== 'string') throw new Error(`target ${index + 1} needs a "country" and a "league" name`);
+    if (target.sport != null && !SPORT_NAMES.includes(target.sport)) throw new Error(`target ${index + 1} has an invalid "sport" "${target.sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+    if (target.season && target.allSeasons) throw new Error(`target ${index + 1} cannot have both "season" and "allSeasons"`);
+
+    return {
+      sport: target.sport ?? null,
+      country: target.country,
+      league: target.league,
+      season: target.season ?? null,
+      allSeasons: Boolean(target.allSeasons),
+    };
+  });
+};
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+
+import { OUTPUT_PATH, SQLITE_FILE_NAME } from './constants/index.js';
+
+import { importTeamCatalog } from './files/sqlite/index.js';
+
+const catalogPath = process.argv[2];
+
+if (!catalogPath) {
+  console.error('\n❌ ERROR: Missing team catalog file.');
+  console.info('Usage: node src/import-teams.js flashscore-final-<date>.json\n');
+  process.exit(1);
+}
+
+const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+const databasePath = path.join(OUTPUT_PATH, `${SQLITE_FILE_NAME}.sqlite`);
+const teamCount = importTeamCatalog(databasePath, catalog);
+
+console.info(`\n✅ Imported ${teamCount} teams from ${catalogPath} into ${databasePath}\n`);
@@ -1,9 +1,10 @@
-import puppeteer from 'puppeteer';
+import { CACHE_PATH } from './constants/index.js';
 
-import { BASE_URL, OUTPUT_PATH } from './constants/index.js';
-
-import { parseArguments } from './cli/arguments/index.js';
+import { ArgumentError, USAGE, getVersion, parseArguments } from './cli/arguments/index.js';
+import { exitWithError } from './cli/command/index.js';
+import { ResolveError, resolveCountry, resolveLeague, resolveLeagues, resolveSeason, resolveSeasons } from './cli/resolve/index.js';
 
+import { selectSport } from './cli/prompts/sport/index.js';
 import { selectFileType } from './cli/prompts/fileType/index.js';
 import { selectCountry } from './cli/prompts/countries/index.js';
 import { selectLeague } from './cli/prompts/leagues/index.js';
@@ -12,45 +13,236 @@ import { selectSeason } from './cli/prompts/season/index.js';
 import { start, stop } from './cli/loader/index.js';
 import { initializeProgressbar } from './cli/progressbar/index.js';
 
-import { getMatchIdList, getMatchData } from './scraper/services/matches/index.js';
-
-import { handleFileType } from './files/handle/index.js';
+import { ScraperError } from './scraper/errors/index.js';
+import { configureFixtures } from './scraper/fixtures/index.js';
+
+import { Scraper } from './api/index.js';
+import { getTargetFileName } from './scrape/index.js';
+
+import { readFailureReport } from './files/failures/index.js';
+import { readTargetsFile } from './files/targets/index.js';
+
+const getTargetLabel = ({ sport, country, league, season }) => `${sport === 'football' ? '' : `${sport}: `}${country?.name} / ${league?.name} / ${season?.name}`;
+
+const expandLeague = async (scraper, { sport, country, league, season, allSeasons }) => {
+  const seasons = allSeasons ? await resolveSeasons(scraper, league) : [await resolveSeason(scraper, league, season)];
+  return seasons.map((leagueSeason) => ({ sport, country, league, season: leagueSeason }));
+};
+
+// Errors that only concern one target, it is reported in the summary instead of stopping the run
+const isTargetError = (error) => error instanceof ResolveError || error instanceof ScraperError;
+
+const resolveTargetsFile = async (scraper, entries, { sport: defaultSport, fileType, allSeasons }) => {
+  const targets = [];
+  for (const entry of entries) {
+    const sport = entry.sport ?? defaultSport;
+    const label = `${sport === 'football' ? '' : `${sport}: `}${entry.country} / ${entry.league} / ${entry.season ?? (entry.allSeasons || allSeasons ? 'all seasons' : 'latest season')}`;
+    try {
+      if (fileType === 'football-data' && sport !== 'football') throw new ResolveError('The football-data format is only available for football.');
+      const country = await resolveCountry(scraper, entry.country, sport);
+      const league = await resolveLeague(scraper, country, entry.league, sport);
+      targets.push(...(await expandLeague(scraper, { sport, country, league, season: entry.season, allSeasons: entry.allSeasons || allSeasons })));
+    } catch (error) {
+      if (!isTargetError(error)) throw error;
+      targets.push({ label, error });
+    }
+  }
+  return targets;
+};
+
+const printSummary = (results) => {
+  const completed = results.filter(({ error, failures, interrupted }) => !error && !failures && !interrupted);
+  const matchCount = results.reduce((acc, { total = 0 }) => acc + total, 0);
+  const scrapedCount = results.reduce((acc, { scraped = 0 }) => acc + scraped, 0);
+
+  console.info(`\n📊 Summary: ${completed.length} of ${results.length} targets completed, ${scrapedCount} matches scraped, ${matchCount} matches in total.`);
+  results.forEach(({ label, filePath, failuresPath, total, cached, scraped, failures, interrupted, error }) => {
+    if (error) console.info(`❌ ${label}: ${error.message}`);
+    else if (interrupted) console.info(`⏸️ ${label}: interrupted after ${scraped} matches, ${filePath}`);
+    else if (failures) console.info(`⚠️ ${label}: ${total} matches, ${failures} failed, see ${failuresPath}`);
+    else console.info(`✅ ${label}: ${total} matches (${scraped} scraped, ${cached} cached), ${filePath}`);
+  });
+};
 
 (async () => {
-  const options = parseArguments();
-  const browser = await puppeteer.launch({ headless: options.headless });
+  let options;
+  try {
+    options = parseArguments();
+  } catch (error) {
+    if (error instanceof ArgumentError) exitWithError(error.message);
+    throw error;
+  }
+
+  if (options.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  if (options.version) {
+    console.info(getVersion());
+    return;
+  }
 
-  const fileType = options.fileType || (await selectFileType());
-  const country = options.country ? { name: options.country } : await selectCountry(browser);
-  const league = options.league ? { name: options.league } : await selectLeague(browser, country?.id);
+  configureFixtures({ mode: options.fixturesMode ?? undefined, fixturesPath: options.fixturesPath ?? undefined });
 
-  const season = league?.url ? await selectSeason(browser, league?.url) : { name: league?.name, url: `${BASE_URL}/football/${country?.name}/${league?.name}` };
+  const retryReport = options.failures ? readFailureReport(options.failures) : null;
+  if (options.failures && !retryReport) exitWithError(`Unable to read failures file: ${options.failures}`);
 
-  const fileName = `${country?.name}_${season?.name}`
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_|_$/g, '');
+  let targetEntries = null;
+  if (options.targets) {
+    try {
+      targetEntries = readTargetsFile(options.targets);
+    } catch (error) {
+      exitWithError(`Unable to read targets file ${options.targets}: ${error.message}`);
+    }
+  }
+
+  const interactive = process.stdin.isTTY && !process.env.CI;
+  if (!interactive && !retryReport && !targetEntries && (!options.country || (!options.league && !options.allLeagues))) {
+    exitWithError('--country and --league (or --all-leagues) are required when not running in an interactive terminal');
+  }
+
+  const scraper = new Scraper({ headless: options.headless, cache: { mode: options.cacheMode, ttl: options.cacheTtl, path: CACHE_PATH } });
+
+  let {
+    fileType,
+    fileName,
+    sport = 'football',
+    country,
+    league,
+    season,
+    csvLayout = options.csvLayout,
+    csvEvents = options.csvEvents,
+    lineups = options.lineups,
+    playerStats = options.playerStats,
+    h2h = options.h2h,
+    h2hLimit = options.h2hLimit,
+    odds = options.odds,
+    output = options.output,
+    mode = options.mode,
+  } = retryReport ?? {};
+
+  let targets = [{ sport, country, league, season, fileName }];
+  if (!retryReport) {
+    try {
+      sport = options.sport || (interactive && !options.country && !targetEntries ? await selectSport() : 'football');
+      fileType = options.format || (interactive ? await selectFileType() : 'json');
+
+      if (targetEntries) {
+        targets = await resolveTargetsFile(scraper, targetEntries, { sport, fileType, allSeasons: options.allSeasons });
+      } else {
+        if (fileType === 'football-data' && sport !== 'football') throw new ResolveError('The football-data format is only available for football.');
+        country = options.country ? await resolveCountry(scraper, options.country, sport) : await selectCountry(scraper, sport);
+
+        const leagues = options.allLeagues
+          ? await resolveLeagues(scraper, country, sport)
+          : [options.league ? await resolveLeague(scraper, country, options.league, sport) : await selectLeague(scraper, country, sport)];
+
+        if (leagues.length === 1 && !options.allSeasons && !options.season && interactive) {
+          targets = [{ sport, country, league: leagues[0], season: await selectSeason(scraper, leagues[0]) }];
+        } else {
+          targets = [];
+          for (const league of leagues) {
+            try {
+              targets.push(...(await expandLeague(scraper, { sport, country, league, season: options.season, allSeasons: options.allSeasons })));
+            } catch (error) {
+              if (!isTargetError(error) || leagues.length === 1) throw error;
+              targets.push({ label: `${country.name} / ${league.name}`, error });
+            }
+          }
+        }
+      }
+    } catch (error) {
+      if (!isTargetError(error)) throw error;
+      await scraper.close();
+      exitWithError(error instanceof ScraperError ? `Unable to load ${error.stage ?? 'the page'} (${error.name}: ${error.message})` : error.message);
+    }
+
+    const withLeague = Boolean(targetEntries || options.allLeagues);
+    targets = targets.map((target) => (target.error ? target : { ...target, fileName: getTargetFileName({ ...target, mode }, { withLeague }) }));
+    if (targets.length > 1) console.info(`\n📋 ${targets.length} targets to scrape.`);
+  }
 
-  console.info(`\n📝 Data collection has started!`);
-  console.info(`The league data will be saved to: ${OUTPUT_PATH}/${fileName}.${fileType}`);
+  const settings = { fileType, output, mode, concurrency: options.concurrency, refresh: options.refresh, csvLayout, csvEvents, lineups, playerStats, h2h, h2hLimit, odds };
+  const matchIds =
+    retryReport && !retryReport.failures.some((failure) => ['match-list', 'fixture-list'].includes(failure.stage)) ? retryReport.failures.map((failure) => failure.id) : null;
+
+  const controller = new AbortController();
+  const interrupt = (signal) => {
+    if (controller.signal.aborted) process.exit(1);
+    controller.abort();
+    console.info(`\n⚠️ Received ${signal}, saving progress after the matches in progress...`);
+  };
+  process.on('SIGINT', interrupt);
+  process.on('SIGTERM', interrupt);
+
+  let progressbar = null;
+  scraper.on('start', ({ filePath, total, cached, pending }) => {
+    stop();
+    console.info(`The league data will be saved to: ${filePath}`);
+    if (cached) console.info(`Resuming: ${cached} of ${cached + pending} matches already scraped.`);
+    progressbar = initializeProgressbar(total);
+    progressbar.increment(total - pending);
+  });
+  scraper.on('progress', () => progressbar.increment());
+
+  const results = [];
+  for (const [index, target] of targets.entries()) {
+    if (controller.signal.aborted) break;
+
+    const label = target.label ?? getTargetLabel(target);
+    if (target.error) {
+      results.push({ label, error: target.error });
+      continue;
+    }
+
+    if (targets.length > 1) console.info(`\n[${index + 1}/${targets.length}] ${label}`);
+    console.info(`\n📝 Data collection has started!`);
+
+    progressbar = null;
+    start();
+    let result;
+    try {
+      result = await scraper.scrapeSeason(target, settings, { matchIds, signal: controller.signal });
+    } catch (error) {
+      stop();
+      if (!(error instanceof ScraperError)) {
+        await scraper.close();
+        exitWithError(error.message);
+      }
+      results.push({ label, error });
+      console.error(`\n❌ ERROR: Unable to load the match list (${error.name}: ${error.message})`);
+      console.info(`The failure has been saved to: ${error.failuresPath}\n`);
+      continue;
+    }
+    stop();
+    progressbar?.stop();
+    results.push({ label, ...result });
+
+    if (result.failures) {
+      console.warn(`\n⚠️ ${result.failures} matches could not be scraped, see: ${result.failuresPath}`);
+      console.info(`Re-process them with: node src/index.js --failures ${result.failuresPath}`);
+    }
+  }
 
-  start();
-  const matchIdList = await getMatchIdList(browser, season?.url);
-  stop();
+  await scraper.close();
 
-  const progressbar = initializeProgressbar(matchIdList.length);
+  if (targets.length > 1) printSummary(results);
+  if (results.some(({ error }) => error)) process.exitCode = 1;
 
-  const matchData = {};
-  for (const matchId of matchIdList) {
-    matchData[matchId] = await getMatchData(browser, matchId);
-    handleFileType(matchData, fileType, fileName);
-    progressbar.increment();
+  if (controller.signal.aborted) {
+    console.info('\n⏸️ Data collection interrupted, progress has been saved.');
+    console.info(`Run the same command again to resume${targets.length > 1 ? '' : `: ${results.at(-1)?.filePath}`}\n`);
+    process.exitCode = 130;
+    return;
   }
 
-  progressbar.stop();
+  if (targets.length > 1) {
+    console.info('\n✅ Batch data collection completed!\n');
+    return;
+  }
 
+  if (results[0]?.error) return;
   console.info('\n✅ Data collection and file writing completed!');
-  console.info(`The data has been successfully saved to: ${OUTPUT_PATH}/${fileName}.${options.fileType}\n`);
-
-  await browser.close();
+  console.info(`The data has been successfully saved to: ${results[0].filePath}\n`);
 })();
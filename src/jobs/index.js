@@ -0,0 +1,61 @@
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const MAX_FINISHED_JOBS = 100;
+
+/*
+ * In-memory job queue running one job at a time, so every scrape shares the same browser without competing for it.
+ * Enqueuing a job while an identical one (same type and params) is still queued or running returns the existing job.
+ *
+ * Job: { id, type, params, status, createdAt, startedAt, finishedAt, result, error: { name, message } | null }
+ */
+export const createJobQueue = () => {
+  const jobs = new Map();
+  const queue = [];
+  let nextId = 1;
+  let running = false;
+
+  const toJson = ({ key, task, ...job }) => job;
+
+  const pruneFinishedJobs = () => {
+    const finished = [...jobs.values()].filter(({ status }) => ['completed', 'failed'].includes(status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(({ id }) => jobs.delete(id));
+  };
+
+  const runNext = async () => {
+    if (running || !queue.length) return;
+    running = true;
+
+    const job = queue.shift();
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = (await job.task()) ?? null;
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = { name: error.name, message: error.message };
+    }
+    job.finishedAt = new Date().toISOString();
+
+    running = false;
+    pruneFinishedJobs();
+    runNext();
+  };
+
+  return {
+    enqueue: (type, params, task) => {
+      const key = `${type}:${JSON.stringify(params)}`;
+      const existing = [...jobs.values()].find((job) => job.key === key && ['queued', 'running'].includes(job.status));
+      if (existing) return toJson(existing);
+
+      const job = { id: String(nextId++), key, type, params, status: 'queued', createdAt: new Date().toISOString(), startedAt: null, finishedAt: null, result: null, error: null, task };
+      jobs.set(job.id, job);
+      queue.push(job);
+      runNext();
+      return toJson(job);
+    },
+    get: (id) => (jobs.has(id) ? toJson(jobs.get(id)) : null),
+    list: () => [...jobs.values()].map(toJson),
+    isIdle: () => !running && !queue.length,
+  };
+};
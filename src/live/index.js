@@ -0,0 +1,62 @@
+/*
+ * Change events of a live match, emitted by the watch command as one NDJSON line each
+ *
+ * { type: "snapshot", matchId, at, match }                                  first poll of a match, the normalized match
+ * { type: "status", matchId, at, previous, current }                        e.g. "1st_half" -> "half_time"
+ * { type: "score", matchId, at, previous, current }                         { home, away, periods } result before and after
+ * { type: "incident", matchId, at, event }                                  new entry of the normalized events timeline
+ * { type: "statistics", matchId, at, deltas: { [stat_key]: { previous, current } } }   previous is null for new statistics
+ * { type: "error", matchId, at, message }                                   the match failed --max-failed-polls polls in a row, it is no longer watched
+ *
+ * at is the ISO 8601 time of the poll that saw the change.
+ */
+
+export const FINAL_STATUSES = ['finished', 'after_extra_time', 'after_penalties', 'after_overtime', 'awarded', 'walkover', 'retired', 'abandoned', 'cancelled', 'postponed'];
+
+export const isMatchFinished = (match) => FINAL_STATUSES.includes(match?.status);
+
+const getScore = ({ result }) => ({ home: result.home, away: result.away, periods: result.periods });
+
+const getEventKey = ({ type, period, minute, addedTime, side, player }) => [type, period, minute, addedTime, side, player].join('|');
+
+// Events have no id, an incident is new when its key shows up more often than in the previous poll
+const getNewEvents = (previousEvents = [], currentEvents = []) => {
+  const seen = previousEvents.reduce((acc, event) => {
+    const key = getEventKey(event);
+    acc[key] = (acc[key] ?? 0) + 1;
+    return acc;
+  }, {});
+
+  return currentEvents.filter((event) => {
+    const key = getEventKey(event);
+    if (!seen[key]) return true;
+    seen[key]--;
+    return false;
+  });
+};
+
+const getStatisticDeltas = (previous = {}, current = {}) =>
+  Object.entries(current).reduce((acc, [key, value]) => {
+    const previousValue = previous[key] ?? null;
+    if (previousValue?.home !== value.home || previousValue?.away !== value.away) acc[key] = { previous: previousValue, current: value };
+    return acc;
+  }, {});
+
+export const getMatchChanges = (previous, current, at = new Date().toISOString()) => {
+  const { matchId } = current;
+  if (!previous) return [{ type: 'snapshot', matchId, at, match: current }];
+
+  const changes = [];
+  if (previous.status !== current.status) changes.push({ type: 'status', matchId, at, previous: previous.status, current: current.status });
+
+  const previousScore = getScore(previous);
+  const currentScore = getScore(current);
+  if (JSON.stringify(previousScore) !== JSON.stringify(currentScore)) changes.push({ type: 'score', matchId, at, previous: previousScore, current: currentScore });
+
+  getNewEvents(previous.events, current.events).forEach((event) => changes.push({ type: 'incident', matchId, at, event }));
+
+  const deltas = getStatisticDeltas(previous.statistics, current.statistics);
+  if (Object.keys(deltas).length) changes.push({ type: 'statistics', matchId, at, deltas });
+
+  return changes;
+};
@@ -0,0 +1,512 @@
+import { TIMEZONE } from '../constants/index.js';
+
+/*
+ * Normalized match schema (version 3)
+ *
+ * {
+ *   schemaVersion: 3,
+ *   sport: string,                           e.g. "football", "basketball", "tennis"
+ *   matchId: string,
+ *   stage: string | null,                    e.g. "ENGLAND: Premier League - Round 5"
+ *   kickoff: string | null,                  ISO 8601 with offset, e.g. "2024-05-12T15:00:00+00:00"
+ *   status: string | null,                   snake_case, e.g. "finished", "after_penalties", "postponed", "scheduled"
+ *   home: { id: string | null, name: string | null, url: string | null, image: string | null },   the player in tennis
+ *   away: { id: string | null, name: string | null, url: string | null, image: string | null },
+ *   result: {
+ *     home: number | null,                   goals, points, or sets won in tennis
+ *     away: number | null,
+ *     regulationTime: { home: number, away: number } | null,   football only
+ *     penalties: { home: number, away: number } | null,        football only
+ *     periods: [                             quarters, periods or sets in order, the halves for football
+ *       { home: number | null, away: number | null, tiebreak: { home: number | null, away: number | null } | null },
+ *     ],
+ *   },
+ *   information: {
+ *     referee, refereeCountry, venue, city: string | null,
+ *     capacity, attendance: number | null,
+ *     [other_category]: string,             any other category, keyed in snake_case
+ *   },
+ *   statistics: {
+ *     [stat_key]: { home: number | null, away: number | null },
+ *   },
+ *   events: [                                in match order
+ *     {
+ *       type: string,                        goal, penalty_goal, own_goal, missed_penalty, yellow_card,
+ *                                            second_yellow_card, red_card, substitution, var or other
+ *       period: string | null,               snake_case, e.g. "1st_half", "extra_time", "penalties"
+ *       minute: number | null,
+ *       addedTime: number | null,            e.g. 3 for "90+3'"
+ *       side: "home" | "away",
+ *       player: string | null,               scorer, booked player or player coming on
+ *       assist: string | null,
+ *       playerOut: string | null,            player going off on substitutions
+ *       detail: string | null,               e.g. "Penalty", "Goal cancelled", "Handball"
+ *       score: { home: number, away: number },
+ *                                            score after the event, penalty shootouts excluded
+ *     },
+ *   ],
+ *   lineups: {                               null unless lineups were requested
+ *     home: {
+ *       formation: string | null,            e.g. "4-3-3"
+ *       startingXI, substitutes, coaches, missingPlayers: [
+ *         { number: number | null, name, id, url, position, reason: string | null },
+ *       ],
+ *     },
+ *     away: { ... },
+ *   } | null,
+ *   playerStats: {                           null unless player statistics were requested
+ *     [player_id]: {
+ *       name, url: string | null,
+ *       side: "home" | "away" | null,
+ *       statistics: { [stat_key]: number | null },   e.g. rating, minutes_played, total_shots, accurate_passes
+ *     },
+ *   } | null,
+ *   h2h: {                                   null unless head-to-head was requested
+ *     home: {                                recent form of the home team, most recent first
+ *       overall, home, away: [
+ *         { matchId, date: "YYYY-MM-DD", venue: "home" | "away", score: { home, away }, outcome: "W" | "D" | "L" },
+ *       ],
+ *     },
+ *     away: { ... },
+ *     meetings: [ ... ],                     previous meetings, venue and outcome from the home team's view
+ *   } | null,
+ *   odds: [                                  null unless odds were requested
+ *     {
+ *       market: "1x2" | "over_under" | "both_teams_to_score",
+ *       line: number | null,                 goal line of over/under markets, e.g. 2.5
+ *       bookmaker: string,
+ *       selection: string,                   home, draw, away, over, under, yes or no
+ *       opening: number | null,              decimal price
+ *       closing: number | null,              decimal price, the current price for matches not started yet
+ *     },
+ *   ] | null,
+ * }
+ *
+ * Head-to-head entries only reference other matches by id, their details come from scraping those matches.
+ *
+ * Statistic keys are the snake_case category name ("Ball Possession" -> "ball_possession"), some sports rename them
+ * to one key per statistic, see the key maps in src/scraper/sports. Percentages are stored as numbers (58% -> 58). Compound values are split into extra keys: "85% (456/537)" and "456/537 (85%)"
+ * add "<key>_completed" and "<key>_attempted", "12 (5)" adds "<key>_detail".
+ *
+ * Upcoming fixtures are built from the fixtures list: the stage is the round ("Round 12"), team ids and urls
+ * are null, the result is empty and information and statistics are empty objects. Only h2h and odds can be scraped
+ * for them.
+ */
+
+export const SCHEMA_VERSION = 3;
+
+export const toKey = (text) =>
+  text
+    ?.toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '') || null;
+
+export const toInteger = (text) => {
+  const value = parseInt(`${text ?? ''}`.replace(/[\s,.]/g, ''), 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+const toNumber = (text) => {
+  const value = parseFloat(`${text ?? ''}`.replace(/[\s%]/g, '').replace(',', '.'));
+  return Number.isNaN(value) ? null : value;
+};
+
+const getTimezoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  })
+    .formatToParts(new Date(timestamp))
+    .reduce((acc, { type, value }) => ({ ...acc, [type]: Number(value) }), {});
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+};
+
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+export const parseKickoff = (text, timeZone = TIMEZONE) => {
+  const match = text?.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, day, month, year, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(wallClock - getTimezoneOffset(wallClock, timeZone), timeZone);
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:00${formatOffset(offset)}`;
+};
+
+// Fixture lists omit the year ("19.10. 15:00"), so pick the year that puts the kickoff closest to now
+export const parseFixtureKickoff = (text, now = Date.now(), timeZone = TIMEZONE) => {
+  const kickoff = parseKickoff(text, timeZone);
+  if (kickoff) return kickoff;
+
+  const match = text?.match(/(\d{1,2})\.(\d{1,2})\.?\s+(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, day, month, hour, minute] = match;
+  const year = new Date(now).getUTCFullYear();
+  return [year - 1, year, year + 1]
+    .map((candidate) => parseKickoff(`${day}.${month}.${candidate} ${hour}:${minute}`, timeZone))
+    .reduce((best, candidate) => (Math.abs(Date.parse(candidate) - now) < Math.abs(Date.parse(best) - now) ? candidate : best));
+};
+
+export const parseTeamId = (url) => url?.match(/\/(?:team|player)\/[^/]+\/([^/?#]+)/)?.[1] ?? null;
+
+const normalizeTeam = (team) => ({ id: parseTeamId(team?.url), name: team?.name ?? null, url: team?.url ?? null, image: team?.image ?? null });
+
+export const parseScore = (text) => {
+  const match = text?.match(/(\d+)\s*[-:]\s*(\d+)/);
+  return match ? { home: Number(match[1]), away: Number(match[2]) } : null;
+};
+
+export const parseStatisticValue = (text) => {
+  const ratio = `${text ?? ''}`.match(/^\s*([\d.,]+)\s*\/\s*([\d.,]+)\s*\(\s*([\d.,]+)\s*%?\s*\)\s*$/);
+  if (ratio) return { value: toNumber(ratio[3]), completed: toNumber(ratio[1]), attempted: toNumber(ratio[2]) };
+
+  const match = `${text ?? ''}`.match(/^\s*([\d.,]+)\s*%?\s*(?:\(\s*([\d.,]+)\s*(?:\/\s*([\d.,]+))?\s*\))?\s*$/);
+  if (!match) return { value: toNumber(text) };
+
+  const [, value, first, second] = match;
+  if (second !== undefined) return { value: toNumber(value), completed: toNumber(first), attempted: toNumber(second) };
+  if (first !== undefined) return { value: toNumber(value), detail: toNumber(first) };
+  return { value: toNumber(value) };
+};
+
+const splitParenthesis = (text) => {
+  const match = text?.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  return match ? [match[1], match[2]] : [text ?? null, null];
+};
+
+export const normalizeInformation = (information = []) =>
+  information.reduce(
+    (acc, { category, value }) => {
+      const key = toKey(category);
+      if (!key) return acc;
+
+      switch (key) {
+        case 'referee': {
+          const [name, country] = splitParenthesis(value);
+          return { ...acc, referee: name, refereeCountry: country };
+        }
+        case 'venue': {
+          const [venue, city] = splitParenthesis(value);
+          return { ...acc, venue, city };
+        }
+        case 'capacity':
+        case 'attendance':
+          return { ...acc, [key]: toInteger(value) };
+        default:
+          return { ...acc, [key]: value ?? null };
+      }
+    },
+    { referee: null, refereeCountry: null, venue: null, city: null, capacity: null, attendance: null }
+  );
+
+export const normalizeStatistics = (statistics = []) =>
+  statistics.reduce((acc, { category, homeValue, awayValue }) => {
+    const key = toKey(category);
+    if (!key) return acc;
+
+    const home = parseStatisticValue(homeValue);
+    const away = parseStatisticValue(awayValue);
+
+    acc[key] = { home: home.value, away: away.value };
+    ['completed', 'attempted', 'detail'].forEach((part) => {
+      if (home[part] !== undefined || away[part] !== undefined) {
+        acc[`${key}_${part}`] = { home: home[part] ?? null, away: away[part] ?? null };
+      }
+    });
+    return acc;
+  }, {});
+
+const GOAL_EVENT_TYPES = ['goal', 'penalty_goal', 'own_goal'];
+
+export const parseMinute = (text) => {
+  const match = text?.match(/(\d+)\s*(?:\+\s*(\d+))?/);
+  return match ? { minute: Number(match[1]), addedTime: match[2] !== undefined ? Number(match[2]) : null } : { minute: null, addedTime: null };
+};
+
+const stripParenthesis = (text) => text?.replace(/^\s*\(|\)\s*$/g, '').trim() || null;
+
+export const getEventType = (icon, detail) => {
+  const text = `${icon ?? ''} ${detail ?? ''}`.toLowerCase();
+  if (/\bvar\b/.test(`${icon ?? ''}`.toLowerCase())) return 'var';
+  if (/own\s*goal/.test(text)) return 'own_goal';
+  if (/penalty\s*missed|missed\s*penalty/.test(text)) return 'missed_penalty';
+  if (/goal/.test(text)) return /penalty/.test(text) ? 'penalty_goal' : 'goal';
+  if (/yellow\s*red|second\s*yellow/.test(text)) return 'second_yellow_card';
+  if (/red\s*card/.test(text)) return 'red_card';
+  if (/yellow\s*card/.test(text)) return 'yellow_card';
+  if (/substitution/.test(text)) return 'substitution';
+  return 'other';
+};
+
+export const normalizeEvents = (events = []) => {
+  const score = { home: 0, away: 0 };
+
+  return events.map(({ period, side, time, icon, player, assist, playerOut, detail, score: scoreText }) => {
+    const type = getEventType(icon, detail);
+    const periodKey = toKey(period);
+
+    if (GOAL_EVENT_TYPES.includes(type) && periodKey !== 'penalties') {
+      const parsedScore = parseScore(scoreText);
+      if (parsedScore) Object.assign(score, parsedScore);
+      else score[side] += 1;
+    }
+
+    return {
+      type,
+      period: periodKey,
+      ...parseMinute(time),
+      side,
+      player: player || null,
+      assist: stripParenthesis(assist),
+      playerOut: playerOut || null,
+      detail: stripParenthesis(detail),
+      score: { ...score },
+    };
+  });
+};
+
+export const parsePlayerId = (url) => url?.match(/\/player\/[^/]+\/([^/?#]+)/)?.[1] ?? null;
+
+const LINEUP_SECTIONS = [
+  ['startingXI', /starting/],
+  ['substitutes', /^substitutes/],
+  ['coaches', /coach/],
+  ['missingPlayers', /missing|injur/],
+];
+
+const normalizeLineupPlayer = ({ number, name, url, position, reason }) => ({
+  number: toInteger(number),
+  name: name || null,
+  id: parsePlayerId(url),
+  url: url || null,
+  position: stripParenthesis(position),
+  reason: stripParenthesis(reason),
+});
+
+export const normalizeLineups = (lineups) => {
+  if (!lineups) return null;
+
+  const sides = ['home', 'away'].map((side) => {
+    const lineup = { formation: lineups.formation?.[side] || null, startingXI: [], substitutes: [], coaches: [], missingPlayers: [] };
+    lineups.sections?.forEach((section) => {
+      const key = LINEUP_SECTIONS.find(([, pattern]) => pattern.test(toKey(section.title) ?? ''))?.[0];
+      if (key) lineup[key] = (section[side] ?? []).map(normalizeLineupPlayer);
+    });
+    return [side, lineup];
+  });
+
+  return Object.fromEntries(sides);
+};
+
+export const parseMatchId = (text) => text?.match(/\/match\/(?:[^/]+\/)*?([A-Za-z0-9]{8})\/?(?:[?#]|\s|$)|g_\d+_([A-Za-z0-9]{8})/)?.slice(1).find(Boolean) ?? null;
+
+export const parseShortDate = (text) => {
+  const match = text?.match(/(\d{1,2})\.(\d{1,2})\.(\d{2,4})/);
+  if (!match) return null;
+
+  const [, day, month, year] = match;
+  return `${year.length === 2 ? `20${year}` : year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+const isSameTeam = (name, team) => !!name && !!team?.name && toKey(name) === toKey(team.name);
+
+const getOutcome = (goalsFor, goalsAgainst) => {
+  if (!Number.isInteger(goalsFor) || !Number.isInteger(goalsAgainst)) return null;
+  if (goalsFor > goalsAgainst) return 'W';
+  return goalsFor < goalsAgainst ? 'L' : 'D';
+};
+
+const normalizeH2hRow = (row, team) => {
+  const venue = row.home?.highlighted || (!row.away?.highlighted && isSameTeam(row.home?.name, team)) ? 'home' : 'away';
+  const score = { home: toInteger(row.result?.home), away: toInteger(row.result?.away) };
+  const outcome = ['W', 'D', 'L'].includes(row.outcome?.toUpperCase()) ? row.outcome.toUpperCase() : null;
+
+  return {
+    matchId: parseMatchId(row.reference),
+    date: parseShortDate(row.date),
+    venue,
+    score,
+    outcome: outcome ?? (venue === 'home' ? getOutcome(score.home, score.away) : getOutcome(score.away, score.home)),
+  };
+};
+
+/*
+ * h2h is { overall, home, away }, the sections of each head-to-head tab. The overall tab lists each team's recent matches
+ * and the previous meetings, in that order, the home and away tabs start with the home team's home matches and the away
+ * team's away matches. Flashscore has no tab for the home team's away matches and the away team's home matches, those
+ * are taken from the overall list. Data scraped before the tabs is the overall sections only.
+ */
+export const normalizeH2h = (h2h, { home, away } = {}, limit = Infinity) => {
+  if (!h2h) return null;
+
+  const tabs = Array.isArray(h2h) ? { overall: h2h } : h2h;
+  const [homeSection, awaySection, meetingsSection] = tabs.overall ?? [];
+  const toForm = (section, team, venueSection, venue) => {
+    const rows = (section?.rows ?? []).map((row) => normalizeH2hRow(row, team));
+    const getVenueRows = (rowVenue) =>
+      rowVenue === venue && venueSection ? venueSection.rows.map((row) => ({ ...normalizeH2hRow(row, team), venue })) : rows.filter((row) => row.venue === rowVenue);
+    return { overall: rows.slice(0, limit), home: getVenueRows('home').slice(0, limit), away: getVenueRows('away').slice(0, limit) };
+  };
+
+  const meetings = (meetingsSection?.rows ?? []).slice(0, limit).map((row) => {
+    const { matchId, date, score } = normalizeH2hRow(row, home);
+    const venue = isSameTeam(row.away?.name, home) || isSameTeam(row.home?.name, away) ? 'away' : 'home';
+    return { matchId, date, venue, score, outcome: venue === 'home' ? getOutcome(score.home, score.away) : getOutcome(score.away, score.home) };
+  });
+
+  return { home: toForm(homeSection, home, tabs.home?.[0], 'home'), away: toForm(awaySection, away, tabs.away?.[0], 'away'), meetings };
+};
+
+// Prices are shown as decimals by default, fractional ("5/2") and american ("+150") prices are converted
+export const parseOddsPrice = (text) => {
+  const value = `${text ?? ''}`.trim().replace(',', '.');
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Math.round((1 + Number(fraction[1]) / Number(fraction[2])) * 100) / 100;
+
+  const american = value.match(/^([+-])(\d+)$/);
+  if (american) {
+    const price = american[1] === '+' ? 1 + Number(american[2]) / 100 : 1 + 100 / Number(american[2]);
+    return Math.round(price * 100) / 100;
+  }
+
+  return /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+};
+
+// Moved prices carry their history in the title ("2.10 » 1.95"), unmoved prices are still the opening ones
+const parseOddsMovement = ({ text, title }) => {
+  const closing = parseOddsPrice(text);
+  const history = `${title ?? ''}`.match(/[+-]?\d+(?:[.,]\d+)?(?:\/\d+)?/g)?.map(parseOddsPrice).filter((price) => price !== null) ?? [];
+  return { opening: history.length > 1 ? history[0] : closing, closing };
+};
+
+export const normalizeOdds = (odds) => {
+  if (!odds) return null;
+
+  return odds.flatMap(({ market, selections, rows }) =>
+    rows
+      .filter(({ bookmaker }) => bookmaker)
+      .flatMap(({ bookmaker, line, prices }) =>
+        selections.map((selection, index) => ({
+          market,
+          line: market === 'over_under' ? parseFloat(line) || null : null,
+          bookmaker,
+          selection,
+          ...(prices[index] ? parseOddsMovement(prices[index]) : { opening: null, closing: null }),
+        }))
+      )
+  );
+};
+
+const PLAYER_STATS_IDENTITY_KEYS = ['player', 'team'];
+
+// Rows are matched to a side through the team crest name, compound values keep their parts like team statistics
+export const normalizePlayerStats = (playerStats, { home, away } = {}) => {
+  if (!playerStats) return null;
+
+  return playerStats.reduce((acc, { name, url, team, values }) => {
+    const id = parsePlayerId(url);
+    if (!id) return acc;
+
+    const side = isSameTeam(team, home) ? 'home' : isSameTeam(team, away) ? 'away' : null;
+    const statistics = values.reduce((stats, { category, value }) => {
+      const key = toKey(category);
+      if (!key || PLAYER_STATS_IDENTITY_KEYS.includes(key)) return stats;
+
+      const parsed = parseStatisticValue(value);
+      stats[key] = parsed.value;
+      ['completed', 'attempted', 'detail'].forEach((part) => {
+        if (parsed[part] !== undefined) stats[`${key}_${part}`] = parsed[part];
+      });
+      return stats;
+    }, {});
+
+    acc[id] = { name: name || null, url: url || null, side, statistics };
+    return acc;
+  }, {});
+};
+
+const normalizePeriods = (periods = []) =>
+  periods.map(({ home, away, homeTiebreak, awayTiebreak }) => ({
+    home: toInteger(home),
+    away: toInteger(away),
+    tiebreak: homeTiebreak || awayTiebreak ? { home: toInteger(homeTiebreak), away: toInteger(awayTiebreak) } : null,
+  }));
+
+export const normalizeMatchData = (matchId, matchData, { sport = 'football', h2hLimit } = {}) => {
+  const { stage, date, status, home, away, result, information, statistics, events, lineups, playerStats, h2h, odds } = matchData;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    sport,
+    matchId,
+    stage: stage ?? null,
+    kickoff: parseKickoff(date),
+    status: toKey(status),
+    home: normalizeTeam(home),
+    away: normalizeTeam(away),
+    result: {
+      home: toInteger(result?.home),
+      away: toInteger(result?.away),
+      regulationTime: parseScore(result?.regulationTime),
+      penalties: parseScore(result?.penalties),
+      periods: normalizePeriods(result?.periods),
+    },
+    information: normalizeInformation(information),
+    statistics: normalizeStatistics(statistics),
+    events: normalizeEvents(events),
+    lineups: normalizeLineups(lineups),
+    playerStats: normalizePlayerStats(playerStats, { home, away }),
+    h2h: normalizeH2h(h2h, { home, away }, h2hLimit),
+    odds: normalizeOdds(odds),
+  };
+};
+
+export const normalizeFixtureData = (matchId, fixture, { sport = 'football', h2hLimit } = {}) => {
+  const { stage, date, status, home, away, h2h, odds } = fixture;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    sport,
+    matchId,
+    stage: stage ?? null,
+    kickoff: parseFixtureKickoff(date),
+    status: toKey(status),
+    home: normalizeTeam(home),
+    away: normalizeTeam(away),
+    result: { home: null, away: null, regulationTime: null, penalties: null, periods: [] },
+    information: {},
+    statistics: {},
+    events: [],
+    lineups: null,
+    playerStats: null,
+    h2h: normalizeH2h(h2h, { home, away }, h2hLimit),
+    odds: normalizeOdds(odds),
+  };
+};
+
+export const isMatchDataComplete = (match, { lineups = false, playerStats = false, h2h = false, odds = false } = {}) => {
+  if (match?.schemaVersion !== SCHEMA_VERSION) return false;
+  if (lineups && !match.lineups && match.status !== 'scheduled') return false;
+  if (playerStats && !match.playerStats && match.status !== 'scheduled') return false;
+  if (h2h && !match.h2h) return false;
+  if (odds && !match.odds) return false;
+  if (!match.kickoff || !match.status || !match.home?.name || !match.away?.name) return false;
+  return match.status !== 'finished' || (Number.isInteger(match.result?.home) && Number.isInteger(match.result?.away));
+};
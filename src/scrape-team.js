@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+
+import { OUTPUT_PATH } from './constants/index.js';
+
+import { exitWithError, launchBrowser, parseCommandArgs } from './cli/command/index.js';
+import { start, stop } from './cli/loader/index.js';
+
+import { getTeamProfile, getTeamUrl } from './scraper/services/teams/index.js';
+import { withRetry } from './scraper/retry/index.js';
+
+import { toFileSlug } from './scrape/index.js';
+
+const USAGE = `
+Usage: node src/scrape-team.js <team id or url> [options]
+
+Options:
+  --catalog <file>   Team catalog used to find the url of a team id (default: latest flashscore-final-*.json)
+  --limit <n>        Maximum number of results and fixtures kept
+  --output <dir>     Output directory (default: ${OUTPUT_PATH})
+  --no-headless      Show the browser window
+  -h, --help         Show this help
+`;
+
+const findLatestCatalog = () =>
+  fs
+    .readdirSync('.')
+    .filter((file) => /^flashscore-final-\d+\.json$/.test(file))
+    .sort()
+    .pop();
+
+const findTeamInCatalog = (catalogPath, teamId) => {
+  const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  return Object.values(catalog)
+    .flatMap((country) => Object.values(country.leagues ?? {}))
+    .flatMap((league) => league.teams ?? [])
+    .find((team) => team.id === teamId);
+};
+
+(async () => {
+  const { values, positionals } = parseCommandArgs(
+    {
+      catalog: { type: 'string' },
+      limit: { type: 'string' },
+      output: { type: 'string', default: OUTPUT_PATH },
+    },
+    { allowPositionals: true, browser: true }
+  );
+
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  const [team] = positionals;
+  if (!team) exitWithError('Missing team id or url.');
+
+  const limit = values.limit ? Number(values.limit) : Infinity;
+  if (!(limit > 0) || (values.limit && !Number.isInteger(limit))) exitWithError(`Invalid --limit "${values.limit}", expected a positive integer`);
+
+  let teamUrl = /^https?:\/\//.test(team) ? team : null;
+  if (!teamUrl) {
+    const catalogPath = values.catalog ?? findLatestCatalog();
+    teamUrl = catalogPath ? findTeamInCatalog(catalogPath, team)?.url : null;
+    if (!teamUrl) {
+      console.warn(`\n⚠️ Team ${team} was not found in ${catalogPath ?? 'any team catalog'}, trying its id without the team name.`);
+      teamUrl = getTeamUrl(team);
+    }
+  }
+
+  const browser = await launchBrowser(values);
+
+  start();
+  let profile;
+  try {
+    profile = await withRetry(() => getTeamProfile(browser, teamUrl, { limit }), { url: teamUrl, stage: 'team' });
+  } catch (error) {
+    stop();
+    await browser.close();
+    exitWithError(`Unable to scrape the team ${teamUrl} (${error.name}: ${error.message})`);
+  }
+  stop();
+  await browser.close();
+
+  const filePath = path.join(values.output, `team_${toFileSlug(profile.name)}_${profile.id}.json`);
+
+  fs.mkdirSync(values.output, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(profile, null, 2));
+
+  console.info(`\n✅ ${profile.name}: ${profile.squad.length} players, ${profile.results.length} results and ${profile.fixtures.length} fixtures.`);
+  console.info(`The team profile has been saved to: ${filePath}\n`);
+})();
@@ -0,0 +1,157 @@
+import { BASE_URL } from '../constants/index.js';
+
+import { mapWithPagePool } from '../scraper/pool/index.js';
+import { withRetry } from '../scraper/retry/index.js';
+import { getFixtureDataFromPage, getFixtureList, getMatchList, getMatchDataFromPage } from '../scraper/services/matches/index.js';
+
+import { isMatchDataComplete, normalizeFixtureData, normalizeMatchData } from '../normalize/index.js';
+import { isMatchFinished } from '../live/index.js';
+
+import { READABLE_FILE_TYPES, createFileWriter, readExistingMatchData } from '../files/handle/index.js';
+import { appendCheckpoint, compactCheckpoint, loadCheckpoint } from '../files/checkpoint/index.js';
+import { createFailureReport, getFailuresPath } from '../files/failures/index.js';
+
+export const toFileSlug = (text) =>
+  `${text ?? ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+// Batch runs add the league to the name, a country has several leagues with the same season names
+export const getTargetFileName = ({ sport = 'football', country, league, season, mode = 'results' }, { withLeague = false } = {}) =>
+  toFileSlug(`${sport === 'football' ? '' : `${sport}_`}${country?.name}_${withLeague ? `${league?.name}_` : ''}${season?.name}${mode === 'results' ? '' : `_${mode}`}`);
+
+export const getSeasonMatchList = async (browser, seasonUrl, mode) => {
+  const results = mode === 'fixtures' ? [] : await withRetry(() => getMatchList(browser, seasonUrl), { url: seasonUrl, stage: 'match-list' });
+  const fixtures = mode === 'results' ? [] : await withRetry(() => getFixtureList(browser, seasonUrl), { url: seasonUrl, stage: 'fixture-list' });
+  const resultIds = new Set(results.map(({ id }) => id));
+  return [...results, ...fixtures.filter(({ id }) => !resultIds.has(id)).map((fixture) => ({ id: fixture.id, status: fixture.status, fixture }))];
+};
+
+/*
+ * Scrapes one league season into its own output file, resuming from the existing output and checkpoint.
+ *
+ * target:   { sport, country, league, season, fileName }, fileName defaults to getTargetFileName(target)
+ * settings: { fileType, output, mode, concurrency, refresh, csvLayout, csvEvents, lineups, playerStats, h2h, h2hLimit, odds }
+ *
+ * Resolves to { fileName, filePath, failuresPath, total, cached, scraped, failures, interrupted, error }, where error is
+ * set when the match list could not be loaded.
+ */
+export const scrapeSeason = async (browser, target, settings, { retryIds = null, shouldStop = () => false, onStart, onProgress } = {}) => {
+  const { sport = 'football', country, league, season } = target;
+  const { fileType, output, mode = 'results', concurrency, refresh = false, csvLayout, csvEvents, lineups, playerStats, h2h, h2hLimit, odds } = settings;
+  const fileName = target.fileName ?? getTargetFileName({ sport, country, season, mode });
+
+  const writer = createFileWriter(fileType, fileName, { outputPath: output, country, league, season, csvLayout, csvEvents, csvOdds: odds, csvPlayerStats: playerStats });
+  if (!writer) throw new Error(`Unable to create a ${fileType} writer`);
+
+  const failureReport = createFailureReport(getFailuresPath(output, fileName), {
+    command: 'scrape',
+    fileType,
+    fileName,
+    sport,
+    csvLayout,
+    csvEvents,
+    lineups,
+    playerStats,
+    h2h,
+    h2hLimit,
+    odds,
+    output,
+    mode,
+    country,
+    league,
+    season,
+  });
+  const summary = { fileName, filePath: writer.filePath, failuresPath: failureReport.filePath, total: 0, cached: 0, scraped: 0, failures: 0, interrupted: false, error: null };
+
+  let matchList;
+  try {
+    matchList = await getSeasonMatchList(browser, season?.url, mode);
+  } catch (error) {
+    failureReport.add({ id: season?.url, stage: error.stage, error });
+    failureReport.write();
+    return { ...summary, failures: 1, error };
+  }
+
+  const existingMatchData = readExistingMatchData(fileType, fileName, output);
+  const checkpoint = loadCheckpoint(output, fileName);
+
+  const scrapeFixtures = h2h || odds;
+  const matchData = matchList.reduce((acc, { id, fixture }) => {
+    if (fixture) {
+      const cachedFixtureData = checkpoint[id]?.data;
+      if (!scrapeFixtures) acc[id] = normalizeFixtureData(id, fixture, { sport });
+      else if (cachedFixtureData?.status === 'scheduled' && isMatchDataComplete(cachedFixtureData, { h2h, odds })) acc[id] = cachedFixtureData;
+      return acc;
+    }
+
+    const cachedMatchData = checkpoint[id]?.data ?? existingMatchData[id];
+    if (isMatchDataComplete(cachedMatchData, { lineups, playerStats, h2h, odds }) && cachedMatchData.status !== 'scheduled') acc[id] = cachedMatchData;
+    return acc;
+  }, {});
+
+  const scrapedList = matchList.filter(({ fixture }) => !fixture || scrapeFixtures);
+  summary.total = matchList.length;
+  summary.cached = scrapedList.filter(({ id }) => matchData[id]).length;
+
+  const pendingMatchList = matchList.filter(({ id, status, fixture }) => {
+    if (fixture && !scrapeFixtures) return false;
+
+    // Without a checkpoint entry, e.g. once a readable output completed, any final status counts as unchanged
+    const listStatus = checkpoint[id]?.listStatus;
+    const statusChanged = listStatus ? listStatus !== status : !isMatchFinished(matchData[id]);
+    if (retryIds && !retryIds.has(id)) return false;
+    return !matchData[id] || (refresh && statusChanged);
+  });
+
+  const pendingIds = new Set(pendingMatchList.map(({ id }) => id));
+  let writeIndex = 0;
+  const flushWriter = () => {
+    while (writeIndex < matchList.length && !pendingIds.has(matchList[writeIndex].id)) {
+      const { id } = matchList[writeIndex++];
+      if (matchData[id]) writer.append(id, matchData[id]);
+    }
+  };
+
+  writer.open();
+  flushWriter();
+  onStart?.({ ...summary, pending: pendingMatchList.length });
+
+  const scrapeMatch = async (page, { id, fixture }) => {
+    try {
+      if (fixture) return { data: await withRetry(() => getFixtureDataFromPage(page, id, { h2h, h2hLimit, odds }), { url: `${BASE_URL}/match/${id}/`, stage: 'fixture' }) };
+      return { data: await withRetry(() => getMatchDataFromPage(page, id, { sport, lineups, playerStats, h2h, h2hLimit, odds }), { url: `${BASE_URL}/match/${id}/`, stage: 'match' }) };
+    } catch (error) {
+      return { error };
+    }
+  };
+
+  await mapWithPagePool(browser, pendingMatchList, scrapeMatch, {
+    concurrency,
+    shouldStop,
+    onResult: ({ data, error }, { id, status, fixture }) => {
+      if (error) {
+        failureReport.add({ id, stage: error.stage ?? 'match', error });
+      } else {
+        matchData[id] = fixture ? normalizeFixtureData(id, { ...fixture, ...data }, { sport, h2hLimit }) : normalizeMatchData(id, data, { sport, h2hLimit });
+        appendCheckpoint(output, fileName, { matchId: id, listStatus: status, data: matchData[id] });
+        summary.scraped++;
+      }
+      pendingIds.delete(id);
+      flushWriter();
+      onProgress?.(id, error ?? null);
+    },
+  });
+
+  pendingIds.clear();
+  flushWriter();
+  writer.close();
+  failureReport.write();
+
+  // Readable outputs resume from the output itself, the other file types keep a compacted checkpoint
+  const interrupted = shouldStop();
+  if (!interrupted) compactCheckpoint(output, fileName, READABLE_FILE_TYPES.includes(fileType) ? [] : matchList.map(({ id }) => id));
+
+  return { ...summary, failures: failureReport.failures.length, interrupted };
+};
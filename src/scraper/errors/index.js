@@ -0,0 +1,44 @@
+export class ScraperError extends Error {
+  constructor(message, { url = null, stage = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.url = url;
+    this.stage = stage;
+    this.attempts = 0;
+    this.retryable = true;
+  }
+}
+
+export class NavigationTimeoutError extends ScraperError {}
+
+export class SelectorNotFoundError extends ScraperError {
+  constructor(message, { selector = null, ...options } = {}) {
+    super(message, options);
+    this.selector = selector;
+  }
+}
+
+export class ConsentWallError extends ScraperError {}
+
+export class HttpError extends ScraperError {
+  constructor(message, { status = null, ...options } = {}) {
+    super(message, options);
+    this.status = status;
+    this.retryable = status === 429 || status >= 500;
+  }
+}
+
+export const classifyError = (error, { url = null, stage = null } = {}) => {
+  if (error instanceof ScraperError) {
+    error.url ??= url;
+    error.stage ??= stage;
+    return error;
+  }
+
+  const options = { url, stage, cause: error };
+  const message = error?.message ?? String(error);
+
+  if (error?.name === 'TimeoutError' && /navigation/i.test(message)) return new NavigationTimeoutError(message, options);
+  if (error?.name === 'TimeoutError' && /selector/i.test(message)) return new SelectorNotFoundError(message, options);
+  return new ScraperError(message, options);
+};
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+import { FIXTURES_PATH } from '../../constants/index.js';
+
+const FIXTURE_MODES = ['record', 'replay'];
+const FIXTURE_RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'xhr', 'fetch'];
+
+const settings = {
+  mode: process.env.FIXTURES_MODE || null,
+  path: process.env.FIXTURES_PATH || FIXTURES_PATH,
+};
+
+export const configureFixtures = ({ mode = settings.mode, fixturesPath = settings.path } = {}) => {
+  if (mode && !FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Invalid fixtures mode "${mode}", expected one of: ${FIXTURE_MODES.join(', ')}`);
+  }
+  settings.mode = mode;
+  settings.path = fixturesPath;
+};
+
+export const getFixturesMode = () => settings.mode;
+
+export const getFixtureKey = (request) => {
+  const url = request.url().split('#')[0];
+  return crypto
+    .createHash('sha1')
+    .update(`${request.method()} ${url} ${request.postData() ?? ''}`)
+    .digest('hex');
+};
+
+const getFixturePath = (request) => {
+  const host = new URL(request.url()).hostname;
+  return path.join(settings.path, `${host}-${getFixtureKey(request)}.json`);
+};
+
+const readFixture = (request) => {
+  const filePath = getFixturePath(request);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const writeFixture = async (response) => {
+  const request = response.request();
+  if (!FIXTURE_RESOURCE_TYPES.includes(request.resourceType())) return;
+
+  // Redirects have no body to read, they are replayed from their status and location header
+  const isRedirect = response.status() >= 300 && response.status() < 400;
+  const body = isRedirect ? '' : (await response.buffer()).toString('base64');
+
+  const headers = { ...response.headers() };
+  delete headers['content-encoding'];
+  delete headers['content-length'];
+
+  const fixture = { method: request.method(), url: request.url(), resourceType: request.resourceType(), status: response.status(), headers, body };
+
+  fs.mkdirSync(settings.path, { recursive: true });
+  fs.writeFileSync(getFixturePath(request), JSON.stringify(fixture, null, 2));
+};
+
+const recordFixtures = (page) => {
+  const pending = new Set();
+
+  page.on('response', (response) => {
+    const promise = writeFixture(response).catch((error) => console.error(`Error recording fixture for ${response.url()}:`, error));
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+  });
+
+  const close = page.close.bind(page);
+  page.close = async (...args) => {
+    await Promise.allSettled(pending);
+    return close(...args);
+  };
+};
+
+const replayFixtures = async (page) => {
+  await page.setRequestInterception(true);
+
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    const fixture = readFixture(request);
+    if (fixture) {
+      request.respond({ status: fixture.status, headers: fixture.headers, body: Buffer.from(fixture.body, 'base64') });
+    } else if (FIXTURE_RESOURCE_TYPES.includes(request.resourceType())) {
+      request.respond({ status: 404, body: '' });
+    } else {
+      request.abort('blockedbyclient');
+    }
+  });
+};
+
+export const attachFixtures = async (page) => {
+  if (settings.mode === 'record') recordFixtures(page);
+  if (settings.mode === 'replay') await replayFixtures(page);
+};
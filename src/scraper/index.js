@@ -1,13 +1,73 @@
-import { TIMEOUT_FAST } from '../constants/index.js';
+import { TIMEOUT_FAST, TIMEZONE } from '../constants/index.js';
 
-export const openPageAndNavigate = async (browser, url) => {
+import { attachFixtures } from './fixtures/index.js';
+import { attachSelectors, getSelector } from './selectors/index.js';
+import { ConsentWallError, HttpError, SelectorNotFoundError, classifyError } from './errors/index.js';
+
+const CONSENT_SELECTOR = getSelector('consent.acceptButton');
+
+export const openPage = async (browser) => {
   const page = await browser.newPage();
-  await page.goto(url, { waitUntil: 'domcontentloaded' });
+  await page.emulateTimezone(TIMEZONE);
+  await attachSelectors(page);
+  await attachFixtures(page);
+  return page;
+};
+
+const hasConsentWall = async (page) => {
+  try {
+    const button = await page.$(CONSENT_SELECTOR);
+    return !!button && (await button.isVisible());
+  } catch (error) {
+    return false;
+  }
+};
+
+const acceptConsent = async (page) => {
+  if (!(await hasConsentWall(page))) return;
+  await page.click(CONSENT_SELECTOR).catch(() => {});
+};
+
+export const navigate = async (page, url) => {
+  let response;
+  try {
+    response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+  } catch (error) {
+    throw classifyError(error, { url });
+  }
+
+  if (response && response.status() >= 400) {
+    throw new HttpError(`HTTP ${response.status()} while loading ${url}`, { url, status: response.status() });
+  }
+
+  await acceptConsent(page);
   return page;
 };
 
+export const openPageAndNavigate = async (browser, url) => {
+  const page = await openPage(browser);
+  try {
+    return await navigate(page, url);
+  } catch (error) {
+    await page.close();
+    throw error;
+  }
+};
+
+export const waitForSelector = async (page, selector, timeout = TIMEOUT_FAST) => {
+  try {
+    await page.waitForSelector(selector, { timeout });
+  } catch (error) {
+    if (error?.name !== 'TimeoutError') throw classifyError(error, { url: page.url() });
+
+    const options = { url: page.url(), selector, cause: error };
+    if (await hasConsentWall(page)) throw new ConsentWallError(`Consent wall blocked "${selector}"`, options);
+    throw new SelectorNotFoundError(`Selector "${selector}" not found`, options);
+  }
+};
+
 export const waitAndClick = async (page, selector, timeout = TIMEOUT_FAST) => {
-  await page.waitForSelector(selector, { timeout });
+  await waitForSelector(page, selector, timeout);
   await page.evaluate(async (selector) => {
     await new Promise((resolve) => setTimeout(resolve, 500));
     const element = document.querySelector(selector);
@@ -20,6 +80,8 @@ export const waitAndClick = async (page, selector, timeout = TIMEOUT_FAST) => {
 
 export const waitForSelectorSafe = async (page, selector, timeout = TIMEOUT_FAST) => {
   try {
-    await page.waitForSelector(selector, { timeout });
-  } catch (error) {}
+    await waitForSelector(page, selector, timeout);
+  } catch (error) {
+    if (!(error instanceof SelectorNotFoundError)) throw error;
+  }
 };
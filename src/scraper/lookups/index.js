@@ -0,0 +1,21 @@
+import { createLookupCache } from '../../files/cache/index.js';
+import { getListOfCountries } from '../services/countries/index.js';
+import { getListOfLeagues } from '../services/leagues/index.js';
+import { getListOfSeasons } from '../services/seasons/index.js';
+
+export const LOOKUP_KINDS = ['countries', 'leagues', 'seasons'];
+
+const getUrlPath = (url) => new URL(url).pathname.replace(/^\/+|\/+$/g, '');
+
+const resolveBrowser = async (browser) => (typeof browser === 'function' ? await browser() : browser);
+
+/*
+ * The country, league and season lists behind the on-disk lookup cache, with the same signatures as the services.
+ * Cache keys are "countries/<sport>", "leagues/<sport>/<country menu id>" and "seasons/<league url path>".
+ * browser can also be a function resolving to the browser, it is then only called on cache misses.
+ */
+export const createLookups = (cache = createLookupCache()) => ({
+  getListOfCountries: (browser, sport = 'football') => cache.wrap(`countries/${sport}`, async () => getListOfCountries(await resolveBrowser(browser), sport)),
+  getListOfLeagues: (browser, countryId, sport = 'football') => cache.wrap(`leagues/${sport}/${countryId}`, async () => getListOfLeagues(await resolveBrowser(browser), countryId, sport)),
+  getListOfSeasons: (browser, leagueUrl) => cache.wrap(`seasons/${getUrlPath(leagueUrl)}`, async () => getListOfSeasons(await resolveBrowser(browser), leagueUrl)),
+});
@@ -0,0 +1,107 @@
+import { CONCURRENCY, REQUEST_DELAY_MAX, REQUEST_DELAY_MIN } from '../../constants/index.js';
+import { openPage } from '../index.js';
+
+export const createRateLimiter = (minDelay = REQUEST_DELAY_MIN, maxDelay = minDelay) => {
+  let nextAt = 0;
+
+  return async () => {
+    const now = Date.now();
+    const at = Math.max(now, nextAt);
+    nextAt = at + minDelay + Math.random() * (maxDelay - minDelay);
+    await new Promise((resolve) => setTimeout(resolve, at - now));
+  };
+};
+
+export const rateLimit = createRateLimiter(REQUEST_DELAY_MIN, REQUEST_DELAY_MAX);
+
+export const createPagePool = async (browser, { concurrency = CONCURRENCY, setupPage } = {}) => {
+  const createPage = async () => {
+    const page = await openPage(browser);
+    if (setupPage) await setupPage(page);
+    return page;
+  };
+
+  const pages = await Promise.all(Array.from({ length: Math.max(1, concurrency) }, createPage));
+  const idle = [...pages];
+  const waiting = [];
+  let closed = false;
+
+  const closePage = async (page) => {
+    if (!page.isClosed()) await page.close();
+  };
+
+  const acquire = () => {
+    if (closed) return Promise.reject(new Error('The page pool is closed'));
+    return idle.length ? Promise.resolve(idle.pop()) : new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+
+  // Pages released or replaced after close are closed right away, so no tab outlives the pool
+  const release = async (page) => {
+    if (page.isClosed() && !closed) {
+      const replacement = await createPage();
+      pages[pages.indexOf(page)] = replacement;
+      page = replacement;
+    }
+    if (closed) await closePage(page);
+    else if (waiting.length) waiting.shift().resolve(page);
+    else idle.push(page);
+  };
+
+  return {
+    run: async (task) => {
+      const page = await acquire();
+      try {
+        return await task(page);
+      } finally {
+        await release(page);
+      }
+    },
+    close: async () => {
+      closed = true;
+      waiting.splice(0).forEach(({ reject }) => reject(new Error('The page pool is closed')));
+      await Promise.all(pages.map(closePage));
+    },
+  };
+};
+
+export const mapWithPagePool = async (browser, items, task, { concurrency = CONCURRENCY, limiter = rateLimit, setupPage, onResult, shouldStop } = {}) => {
+  if (!items.length) return [];
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  const pool = await createPagePool(browser, { concurrency: workerCount, setupPage });
+  const results = new Array(items.length);
+  const settled = new Array(items.length).fill(false);
+  let nextIndex = 0;
+  let emitIndex = 0;
+
+  const emitSettled = () => {
+    while (emitIndex < items.length && settled[emitIndex]) {
+      onResult?.(results[emitIndex], items[emitIndex], emitIndex);
+      emitIndex++;
+    }
+  };
+
+  // After the first failure no more items are handed out, the pool is only closed once every worker returned
+  let failure = null;
+  const worker = async () => {
+    while (nextIndex < items.length && !failure && !shouldStop?.()) {
+      const index = nextIndex++;
+      try {
+        results[index] = await pool.run(async (page) => {
+          await limiter();
+          return task(page, items[index], index);
+        });
+        settled[index] = true;
+        emitSettled();
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  await Promise.allSettled(Array.from({ length: workerCount }, worker));
+  await pool.close();
+  if (failure) throw failure.error;
+
+  return results.slice(0, emitIndex);
+};
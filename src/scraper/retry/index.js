@@ -0,0 +1,18 @@
+import { RETRIES, RETRY_DELAY } from '../../constants/index.js';
+import { classifyError } from '../errors/index.js';
+
+export const withRetry = async (task, { retries = RETRIES, delay = RETRY_DELAY, factor = 2, url = null, stage = null, onRetry } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      const scraperError = classifyError(error, { url, stage });
+      scraperError.attempts = attempt;
+
+      if (attempt > retries || !scraperError.retryable) throw scraperError;
+
+      onRetry?.(scraperError, attempt);
+      await new Promise((resolve) => setTimeout(resolve, delay * factor ** (attempt - 1)));
+    }
+  }
+};
@@ -0,0 +1,210 @@
+/*
+ * Selector registry
+ *
+ * Every CSS selector of the Flashscore pages, keyed by "<area>.<field>". Each field lists its fallbacks in order and the
+ * first one that matches wins: after a redesign the new selector goes first and the old ones stay as fallbacks.
+ * A fallback can itself be a selector list when the field is spread over several elements, e.g. the heading info.
+ * Placeholders like {countryId} are filled in from the params.
+ *
+ * On the Node side getSelector(key, params) joins the fallbacks into one selector list, e.g. for waitForSelector.
+ * Inside page.evaluate the registry is window.__selectors, installed by openPage:
+ *   __selectors.one(key, root, params)      first element of the first matching fallback, or null
+ *   __selectors.all(key, root, params)      elements of the first fallback that matches any
+ *   __selectors.is(key, element, params)    whether the element matches one of the fallbacks
+ *   __selectors.css(key, params)            same as getSelector
+ *   __selectors.probe(key, params)          { index, count } of the first matching fallback, index is -1 when none matched
+ */
+export const SELECTORS = {
+  consent: {
+    acceptButton: ['#onetrust-accept-btn-handler'],
+  },
+  countries: {
+    menuToggle: ['#category-left-menu > div > span'],
+    link: ['#category-left-menu > div > div > a'],
+  },
+  leagues: {
+    country: ['#{countryId}'],
+    link: ['#{countryId} ~ span > a'],
+  },
+  seasons: {
+    link: ['div.archive__season > a'],
+  },
+  matchList: {
+    showMore: ['a.event__more.event__more--static'],
+    row: ['.event__match.event__match--static.event__match--twoLine'],
+    liveRow: ['.event__match--live'],
+    header: ['.event__header', '.wclLeagueHeader'],
+    headerTitle: ['.event__title--type, .event__title--name'],
+    round: ['.event__round'],
+    stage: ['.event__stage'],
+    time: ['.event__time'],
+    homeName: ['.event__homeParticipant', '.event__participant--home'],
+    homeImage: ['.event__logo--home', '.event__homeParticipant img'],
+    awayName: ['.event__awayParticipant', '.event__participant--away'],
+    awayImage: ['.event__logo--away', '.event__awayParticipant img'],
+    homeScore: ['.event__score--home'],
+    awayScore: ['.event__score--away'],
+  },
+  match: {
+    startTime: ['.duelParticipant__startTime', '.duelParticipant__time'],
+    startTimeText: ['.duelParticipant__startTime div', '.duelParticipant__time', '.duelParticipant__startTime'],
+    stage: ['.tournamentHeader__country > a'],
+    status: ['.fixedHeaderDuel__detailStatus'],
+    homeName: ['.duelParticipant__home .participant__participantName.participant__overflow', '.duelParticipant__home .participant__participantName'],
+    homeImage: ['.duelParticipant__home .participant__image'],
+    homeLink: ['.duelParticipant__home a.participant__participantLink'],
+    awayName: ['.duelParticipant__away .participant__participantName.participant__overflow', '.duelParticipant__away .participant__participantName'],
+    awayImage: ['.duelParticipant__away .participant__image'],
+    awayLink: ['.duelParticipant__away a.participant__participantLink'],
+    information: ["div[data-testid='wcl-summaryMatchInformation'] > div"],
+  },
+  result: {
+    score: ['.detailScore__wrapper span:not(.detailScore__divider)'],
+    fullTime: ['.detailScore__fullTime'],
+    overline: ['[data-testid="wcl-scores-overline-02"]'],
+    part: ['.smh__part'],
+    sidePart: ['.smh__part.smh__{side}:not(.smh__score)'],
+    tiebreak: ['sup'],
+  },
+  events: {
+    header: ['.smv__incidentsHeader'],
+    row: ['.smv__participantRow'],
+    awayRow: ['.smv__awayParticipant'],
+    time: ['.smv__timeBox'],
+    icon: ['.smv__incidentIcon svg', '.smv__incidentIconSub svg'],
+    player: ['.smv__playerName'],
+    assist: ['.smv__assist'],
+    playerOut: ['.smv__subDown'],
+    detail: ['.smv__subIncident'],
+    score: ['.smv__incidentHomeScore', '.smv__incidentAwayScore'],
+  },
+  statistics: {
+    row: ["div[data-testid='wcl-statistics']"],
+    category: ["div[data-testid='wcl-statistics-category']"],
+    value: ["div[data-testid='wcl-statistics-value'] > strong"],
+  },
+  lineups: {
+    container: ['.lf__lineUp'],
+    formation: ['.lf__header .lf__headerPart'],
+    section: ['.lf__lineUp .section'],
+    sectionTitle: ['.section__title'],
+    side: ['.lf__side'],
+    participant: ['.lf__participantNew', '.lf__participant'],
+    playerLink: ["a[href*='/player/']"],
+    number: ['.lf__participantNumber'],
+    name: ['.lf__participantName'],
+    position: ['.lf__participantRole'],
+    reason: ['.lf__participantReason', '.lf__reason'],
+  },
+  playerStats: {
+    table: ['.playerStatsTable'],
+    headerCell: ['.playerStatsTable__headerCell'],
+    row: ['.playerStatsTable__row'],
+    cell: ['.playerStatsTable__cell'],
+    playerLink: ["a[href*='/player/']"],
+    team: ['.playerStatsTable__teamCell img', 'img[alt]'],
+  },
+  h2h: {
+    section: ['.h2h__section'],
+    title: ['.section__title'],
+    showMore: ['.showMore'],
+    row: ['.h2h__row'],
+    matchLink: ["a[href*='/match/']"],
+    date: ['.h2h__date'],
+    home: ['.h2h__homeParticipant'],
+    away: ['.h2h__awayParticipant'],
+    score: ['.h2h__result span'],
+    outcome: ['.h2h__icon', '[class*="wcl-badgeform"]'],
+    highlighted: ['.highlighted'],
+  },
+  odds: {
+    row: ['.ui-table__row'],
+    bookmaker: ['.oddsCell__bookmaker a', '.oddsCell__bookmaker img'],
+    line: ['.oddsCell__noOddsCell'],
+    price: ['.oddsCell__odd'],
+  },
+  standings: {
+    tableLink: ["a[href*='/standings/']"],
+    table: ['.ui-table'],
+    group: ['.ui-table__headerCell--participant'],
+    row: ['.ui-table__row'],
+    rank: ['.tableCellRank'],
+    team: ['a.tableCellParticipant__name'],
+    teamLink: ['a[href*="/team/"]'],
+    value: ['.table__cell--value'],
+    form: ['.table__cell--form .tableCellFormIcon', '.table__cell--form [class*="wcl-badgeform"]'],
+  },
+  team: {
+    name: ['.heading__name'],
+    logo: ['.heading__logo'],
+    info: ['.heading__info, .heading__info--venue'],
+  },
+  squad: {
+    section: ['.lineupTable'],
+    title: ['.lineupTable__title'],
+    row: ['.lineupTable__row'],
+    playerLink: ["a[href*='/player/']"],
+    number: ['.lineupTable__cell--jersey'],
+    name: ['.lineupTable__cell--name'],
+    nationality: ['.lineupTable__cell--flag'],
+    age: ['.lineupTable__cell--age'],
+  },
+};
+
+const getFallbacks = (key, params = {}) => {
+  const [area, field] = key.split('.');
+  const fallbacks = SELECTORS[area]?.[field];
+  if (!fallbacks) throw new Error(`Unknown selector "${key}"`);
+  return fallbacks.map((selector) => selector.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match));
+};
+
+export const getSelector = (key, params) => getFallbacks(key, params).join(', ');
+
+export const getSelectorKeys = (area) => {
+  if (!SELECTORS[area]) throw new Error(`Unknown selector area "${area}", expected one of: ${Object.keys(SELECTORS).join(', ')}`);
+  return Object.keys(SELECTORS[area]).map((field) => `${area}.${field}`);
+};
+
+// Runs in the page before any of its scripts, so it has to be self-contained
+const installSelectors = (selectors) => {
+  const getFallbacks = (key, params = {}) => {
+    const [area, field] = key.split('.');
+    const fallbacks = selectors[area]?.[field];
+    if (!fallbacks) throw new Error(`Unknown selector "${key}"`);
+    return fallbacks.map((selector) => selector.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match));
+  };
+
+  window.__selectors = {
+    one: (key, root = document, params) => {
+      for (const selector of getFallbacks(key, params)) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      }
+      return null;
+    },
+    all: (key, root = document, params) => {
+      for (const selector of getFallbacks(key, params)) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (elements.length) return elements;
+      }
+      return [];
+    },
+    is: (key, element, params) => getFallbacks(key, params).some((selector) => element.matches(selector)),
+    css: (key, params) => getFallbacks(key, params).join(', '),
+    probe: (key, params) => {
+      const counts = getFallbacks(key, params).map((selector) => document.querySelectorAll(selector).length);
+      const index = counts.findIndex((count) => count > 0);
+      return { index, count: index === -1 ? 0 : counts[index] };
+    },
+  };
+};
+
+export const attachSelectors = async (page) => {
+  await page.evaluateOnNewDocument(installSelectors, SELECTORS);
+};
+
+// [{ key, fallbacks, index, count }] for the current document of the page, see __selectors.probe
+export const probeSelectors = async (page, keys, params = {}) => {
+  const results = await page.evaluate((keys, params) => keys.map((key) => window.__selectors.probe(key, params)), keys, params);
+  return keys.map((key, index) => ({ key, fallbacks: getFallbacks(key, params), ...results[index] }));
+};
@@ -1,18 +1,20 @@
 import { BASE_URL } from '../../../constants/index.js';
 import { openPageAndNavigate, waitAndClick, waitForSelectorSafe } from '../../index.js';
+import { getSelector } from '../../selectors/index.js';
 
-export const getListOfCountries = async (browser) => {
-  const page = await openPageAndNavigate(browser, BASE_URL);
+export const getListOfCountries = async (browser, sport = 'football') => {
+  const page = await openPageAndNavigate(browser, `${BASE_URL}/${sport}/`);
 
-  await waitAndClick(page, '#category-left-menu > div > span');
-  await waitForSelectorSafe(page, '#category-left-menu > div > div > a');
+  try {
+    await waitAndClick(page, getSelector('countries.menuToggle'));
+    await waitForSelectorSafe(page, getSelector('countries.link'));
 
-  const listOfCountries = await page.evaluate(() => {
-    return Array.from(document.querySelectorAll('#category-left-menu > div > div > a')).map((element) => {
-      return { name: element.innerText.trim(), url: element.href, id: element.id };
+    return await page.evaluate(() => {
+      return window.__selectors.all('countries.link').map((element) => {
+        return { name: element.innerText.trim(), url: element.href, id: element.id };
+      });
     });
-  });
-
-  await page.close();
-  return listOfCountries;
+  } finally {
+    await page.close();
+  }
 };
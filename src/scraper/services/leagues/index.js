@@ -1,19 +1,21 @@
 import { BASE_URL, TIMEOUT } from '../../../constants/index.js';
 import { openPageAndNavigate, waitAndClick, waitForSelectorSafe } from '../../index.js';
+import { getSelector } from '../../selectors/index.js';
 
-export const getListOfLeagues = async (browser, countryId) => {
-  const page = await openPageAndNavigate(browser, BASE_URL);
+export const getListOfLeagues = async (browser, countryId, sport = 'football') => {
+  const page = await openPageAndNavigate(browser, `${BASE_URL}/${sport}/`);
 
-  await waitAndClick(page, '#category-left-menu > div > span');
-  await waitAndClick(page, `#${countryId}`);
-  await waitForSelectorSafe(page, `#${countryId} ~ span > a`, TIMEOUT);
+  try {
+    await waitAndClick(page, getSelector('countries.menuToggle'));
+    await waitAndClick(page, getSelector('leagues.country', { countryId }));
+    await waitForSelectorSafe(page, getSelector('leagues.link', { countryId }), TIMEOUT);
 
-  const listOfLeagues = await page.evaluate((countryId) => {
-    return Array.from(document.querySelectorAll(`#${countryId} ~ span > a`)).map((element) => {
-      return { name: element.innerText.trim(), url: element.href };
-    });
-  }, countryId);
-
-  await page.close();
-  return listOfLeagues;
+    return await page.evaluate((countryId) => {
+      return window.__selectors.all('leagues.link', document, { countryId }).map((element) => {
+        return { name: element.innerText.trim(), url: element.href };
+      });
+    }, countryId);
+  } finally {
+    await page.close();
+  }
 };
@@ -1,71 +1,246 @@
-import { BASE_URL } from '../../../constants/index.js';
-import { openPageAndNavigate, waitAndClick, waitForSelectorSafe } from '../../index.js';
+import { BASE_URL, H2H_LIMIT } from '../../../constants/index.js';
+import { SelectorNotFoundError } from '../../errors/index.js';
+import { navigate, openPage, openPageAndNavigate, waitAndClick, waitForSelector, waitForSelectorSafe } from '../../index.js';
+import { getMatchOddsFromPage } from '../odds/index.js';
+import { getSport } from '../../sports/index.js';
+import { getSelector } from '../../selectors/index.js';
 
-export const getMatchIdList = async (browser, leagueSeasonUrl) => {
-  const page = await openPageAndNavigate(browser, `${leagueSeasonUrl}/results`);
+export const MATCH_LIST_MODES = ['results', 'fixtures', 'both'];
+
+// The home tab lists the home team's home matches, the away tab the away team's away matches
+const H2H_TABS = ['overall', 'home', 'away'];
 
+const showAllMatches = async (page) => {
   while (true) {
     try {
-      await waitAndClick(page, 'a.event__more.event__more--static');
+      await waitAndClick(page, getSelector('matchList.showMore'));
     } catch (error) {
+      if (!(error instanceof SelectorNotFoundError)) throw error;
       break;
     }
   }
 
-  await waitForSelectorSafe(page, '.event__match.event__match--static.event__match--twoLine');
+  await waitForSelectorSafe(page, getSelector('matchList.row'));
+};
+
+export const getMatchList = async (browser, leagueSeasonUrl) => {
+  const page = await openPageAndNavigate(browser, `${leagueSeasonUrl}/results`);
 
-  const matchIdList = await page.evaluate(() => {
-    return Array.from(document.querySelectorAll('.event__match.event__match--static.event__match--twoLine')).map((element) => {
-      return element?.id?.replace('g_1_', '');
+  try {
+    await showAllMatches(page);
+
+    const matchList = await page.evaluate(() => {
+      const { all, one } = window.__selectors;
+      return all('matchList.row').map((element) => {
+        return {
+          id: element?.id?.replace(/^g_\d+_/, ''),
+          status: one('matchList.stage', element)?.innerText.trim() || 'Finished',
+        };
+      });
     });
-  });
 
-  await page.close();
-  return matchIdList;
+    return matchList;
+  } finally {
+    await page.close();
+  }
+};
+
+export const getFixtureList = async (browser, leagueSeasonUrl) => {
+  return await getMatchRowList(browser, `${leagueSeasonUrl}/fixtures`, { status: 'Scheduled' });
+};
+
+export const getMatchRowList = async (browser, url, { status = 'Finished', showMore = true } = {}) => {
+  const page = await openPageAndNavigate(browser, url);
+
+  try {
+    if (showMore) await showAllMatches(page);
+    else await waitForSelectorSafe(page, getSelector('matchList.row'));
+
+    const matchRowList = await page.evaluate((defaultStatus) => {
+      const { all, css, is, one } = window.__selectors;
+      let competition = null;
+      let round = null;
+      return Array.from(document.querySelectorAll(`${css('matchList.header')}, ${css('matchList.round')}, ${css('matchList.row')}`)).reduce((acc, element) => {
+        if (is('matchList.header', element)) {
+          competition = all('matchList.headerTitle', element)
+            .map((title) => title.innerText.trim())
+            .join(': ') || element.innerText.trim().split('\n')[0];
+          round = null;
+          return acc;
+        }
+
+        if (is('matchList.round', element)) {
+          round = element.innerText.trim();
+          return acc;
+        }
+
+        acc.push({
+          id: element?.id?.replace(/^g_\d+_/, ''),
+          status: one('matchList.stage', element)?.innerText.trim() || defaultStatus,
+          competition,
+          stage: round,
+          date: one('matchList.time', element)?.innerText.trim(),
+          home: {
+            name: one('matchList.homeName', element)?.innerText.trim(),
+            image: one('matchList.homeImage', element)?.src,
+          },
+          away: {
+            name: one('matchList.awayName', element)?.innerText.trim(),
+            image: one('matchList.awayImage', element)?.src,
+          },
+          result: {
+            home: one('matchList.homeScore', element)?.innerText.trim(),
+            away: one('matchList.awayScore', element)?.innerText.trim(),
+          },
+        });
+        return acc;
+      }, []);
+    }, status);
+
+    return matchRowList;
+  } finally {
+    await page.close();
+  }
 };
 
-export const getMatchData = async (browser, matchId) => {
-  const page = await openPageAndNavigate(browser, `${BASE_URL}/match/${matchId}/#/match-summary/match-summary`);
+// The league summary page lists the matches of the day, live rows have the "event__match--live" class
+export const getLiveMatchList = async (browser, leagueUrl) => {
+  const page = await openPageAndNavigate(browser, `${leagueUrl.replace(/\/+$/, '')}/`);
 
-  await waitForSelectorSafe(page, '.duelParticipant__startTime');
-  await waitForSelectorSafe(page, "div[data-testid='wcl-summaryMatchInformation'] > div'");
+  try {
+    await waitForSelectorSafe(page, getSelector('matchList.liveRow'));
+
+    return await page.evaluate(() => {
+      const { all, one } = window.__selectors;
+      return all('matchList.liveRow').map((element) => {
+        return {
+          id: element?.id?.replace(/^g_\d+_/, ''),
+          status: one('matchList.stage', element)?.innerText.trim() || 'Live',
+        };
+      });
+    });
+  } finally {
+    await page.close();
+  }
+};
+
+export const getMatchIdList = async (browser, leagueSeasonUrl) => {
+  const matchList = await getMatchList(browser, leagueSeasonUrl);
+  return matchList.map((match) => match.id);
+};
+
+export const getMatchData = async (browser, matchId, options = {}) => {
+  const page = await openPage(browser);
+  try {
+    return await getMatchDataFromPage(page, matchId, options);
+  } finally {
+    await page.close();
+  }
+};
+
+export const getMatchDataFromPage = async (
+  page,
+  matchId,
+  { sport = 'football', lineups = false, playerStats = false, h2h = false, h2hLimit = H2H_LIMIT, odds = false } = {}
+) => {
+  const { extractResult, extractStatistics, hasEvents, hasLineups } = getSport(sport);
+  await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/match-summary`);
+
+  await waitForSelector(page, getSelector('match.startTime'));
+  await waitForSelectorSafe(page, getSelector('match.information'));
 
   const matchData = await extractMatchData(page);
+  const result = await extractResult(page);
   const information = await extractMatchInformation(page);
 
-  await page.goto(`${BASE_URL}/match/${matchId}/#/match-summary/match-statistics/0`, { waitUntil: 'domcontentloaded' });
-  await waitForSelectorSafe(page, "div[data-testid='wcl-statistics']");
-  const statistics = await extractMatchStatistics(page);
+  let events = [];
+  if (hasEvents) {
+    await waitForSelectorSafe(page, getSelector('events.row'));
+    events = await extractMatchEvents(page);
+  }
+
+  await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/match-statistics/0`);
+  await waitForSelectorSafe(page, getSelector('statistics.row'));
+  const statistics = await extractStatistics(page);
+
+  const data = { ...matchData, result, information, statistics, events };
+
+  if (lineups && hasLineups) {
+    await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/lineups`);
+    await waitForSelectorSafe(page, getSelector('lineups.container'));
+    data.lineups = await extractMatchLineups(page);
+  }
+
+  if (playerStats) {
+    await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/player-statistics/0`);
+    await waitForSelectorSafe(page, getSelector('playerStats.table'));
+    data.playerStats = await extractPlayerStatistics(page);
+  }
+
+  if (h2h) data.h2h = await getMatchH2hFromPage(page, matchId, { h2hLimit });
+  if (odds) data.odds = await getMatchOddsFromPage(page, matchId);
 
-  await page.close();
-  return { ...matchData, information, statistics };
+  return data;
+};
+
+// Lighter scrape for polling live matches: header, result, events and statistics only
+export const getLiveMatchDataFromPage = async (page, matchId, { sport = 'football' } = {}) => {
+  const { extractResult, extractStatistics, hasEvents } = getSport(sport);
+  await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/match-summary`);
+  await waitForSelector(page, getSelector('match.startTime'));
+
+  const matchData = await extractMatchData(page);
+  const result = await extractResult(page);
+
+  let events = [];
+  if (hasEvents) {
+    await waitForSelectorSafe(page, getSelector('events.row'));
+    events = await extractMatchEvents(page);
+  }
+
+  await navigate(page, `${BASE_URL}/match/${matchId}/#/match-summary/match-statistics/0`);
+  await waitForSelectorSafe(page, getSelector('statistics.row'));
+  const statistics = await extractStatistics(page);
+
+  return { ...matchData, result, statistics, events };
+};
+
+export const getFixtureDataFromPage = async (page, matchId, { h2h = false, h2hLimit = H2H_LIMIT, odds = false } = {}) => {
+  const data = {};
+  if (h2h) data.h2h = await getMatchH2hFromPage(page, matchId, { h2hLimit });
+  if (odds) data.odds = await getMatchOddsFromPage(page, matchId);
+  return data;
+};
+
+export const getMatchH2hFromPage = async (page, matchId, { h2hLimit = H2H_LIMIT } = {}) => {
+  const h2h = {};
+  for (const tab of H2H_TABS) {
+    // Changing only the hash keeps the previous tab's sections until the page re-renders, a fresh load never reads them
+    if (tab !== H2H_TABS[0]) await page.goto('about:blank');
+    await navigate(page, `${BASE_URL}/match/${matchId}/#/h2h/${tab}`);
+    await waitForSelectorSafe(page, getSelector('h2h.section'));
+    await expandH2hSections(page, h2hLimit);
+    h2h[tab] = await extractMatchH2h(page);
+  }
+  return h2h;
 };
 
 const extractMatchData = async (page) => {
   return await page.evaluate(async () => {
+    const { one } = window.__selectors;
     return {
-      stage: document.querySelector('.tournamentHeader__country > a')?.innerText.trim(),
-      date: document.querySelector('.duelParticipant__startTime')?.innerText.trim(),
-      status: document.querySelector('.fixedHeaderDuel__detailStatus')?.innerText.trim(),
+      stage: one('match.stage')?.innerText.trim(),
+      date: one('match.startTime')?.innerText.trim(),
+      status: one('match.status')?.innerText.trim(),
       home: {
-        name: document.querySelector('.duelParticipant__home .participant__participantName.participant__overflow')?.innerText.trim(),
-        image: document.querySelector('.duelParticipant__home .participant__image')?.src,
+        name: one('match.homeName')?.innerText.trim(),
+        image: one('match.homeImage')?.src,
+        url: one('match.homeLink')?.href,
       },
       away: {
-        name: document.querySelector('.duelParticipant__away .participant__participantName.participant__overflow')?.innerText.trim(),
-        image: document.querySelector('.duelParticipant__away .participant__image')?.src,
-      },
-      result: {
-        home: Array.from(document.querySelectorAll('.detailScore__wrapper span:not(.detailScore__divider)'))?.[0]?.innerText.trim(),
-        away: Array.from(document.querySelectorAll('.detailScore__wrapper span:not(.detailScore__divider)'))?.[1]?.innerText.trim(),
-        regulationTime: document
-          .querySelector('.detailScore__fullTime')
-          ?.innerText.trim()
-          .replace(/[\n()]/g, ''),
-        penalties: Array.from(document.querySelectorAll('[data-testid="wcl-scores-overline-02"]'))
-          .find((element) => element.innerText.trim().toLowerCase() === 'penalties')
-          ?.nextElementSibling?.innerText?.trim()
-          .replace(/\s+/g, ''),
+        name: one('match.awayName')?.innerText.trim(),
+        image: one('match.awayImage')?.src,
+        url: one('match.awayLink')?.href,
       },
     };
   });
@@ -73,7 +248,7 @@ const extractMatchData = async (page) => {
 
 const extractMatchInformation = async (page) => {
   return await page.evaluate(async () => {
-    const elements = Array.from(document.querySelectorAll("div[data-testid='wcl-summaryMatchInformation'] > div"));
+    const elements = window.__selectors.all('match.information');
     return elements.reduce((acc, element, index) => {
       if (index % 2 === 0) {
         acc.push({
@@ -92,12 +267,118 @@ const extractMatchInformation = async (page) => {
   });
 };
 
-const extractMatchStatistics = async (page) => {
+const extractMatchEvents = async (page) => {
+  return await page.evaluate(async () => {
+    const { css, is, one } = window.__selectors;
+    let period = null;
+    return Array.from(document.querySelectorAll(`${css('events.header')}, ${css('events.row')}`)).reduce((acc, element) => {
+      if (is('events.header', element)) {
+        period = element.firstElementChild?.innerText.trim() ?? null;
+        return acc;
+      }
+
+      const icon = one('events.icon', element);
+      acc.push({
+        period,
+        side: is('events.awayRow', element) ? 'away' : 'home',
+        time: one('events.time', element)?.innerText.trim(),
+        icon: [icon?.getAttribute('class'), icon?.getAttribute('data-testid'), icon?.querySelector('title')?.textContent].filter(Boolean).join(' '),
+        player: one('events.player', element)?.innerText.trim(),
+        assist: one('events.assist', element)?.innerText.trim(),
+        playerOut: one('events.playerOut', element)?.innerText.trim(),
+        detail: one('events.detail', element)?.innerText.trim(),
+        score: one('events.score', element)?.innerText.trim(),
+      });
+      return acc;
+    }, []);
+  });
+};
+
+const extractMatchLineups = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    const extractParticipant = (element) => {
+      const link = one('lineups.playerLink', element);
+      return {
+        number: one('lineups.number', element)?.innerText.trim(),
+        name: (link ?? one('lineups.name', element))?.innerText.trim(),
+        url: link?.href,
+        position: one('lineups.position', element)?.innerText.trim(),
+        reason: one('lineups.reason', element)?.innerText.trim(),
+      };
+    };
+
+    const headerParts = all('lineups.formation');
+    return {
+      formation: { home: headerParts[0]?.innerText.trim(), away: headerParts[headerParts.length - 1]?.innerText.trim() },
+      sections: all('lineups.section').map((section) => {
+        const [home, away] = all('lineups.side', section);
+        return {
+          title: one('lineups.sectionTitle', section)?.innerText.trim(),
+          home: (home ? all('lineups.participant', home) : []).map(extractParticipant),
+          away: (away ? all('lineups.participant', away) : []).map(extractParticipant),
+        };
+      }),
+    };
+  });
+};
+
+const expandH2hSections = async (page, limit) => {
+  for (let attempt = 0; attempt < Math.ceil(limit / 5); attempt++) {
+    const clicked = await page.evaluate((limit) => {
+      const { all, one } = window.__selectors;
+      return all('h2h.section')
+        .filter((section) => all('h2h.row', section).length < limit)
+        .map((section) => one('h2h.showMore', section))
+        .filter(Boolean)
+        .map((button) => button.click()).length;
+    }, limit);
+
+    if (!clicked) break;
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+};
+
+const extractMatchH2h = async (page) => {
   return await page.evaluate(async () => {
-    return Array.from(document.querySelectorAll("div[data-testid='wcl-statistics']")).map((element) => ({
-      category: element.querySelector("div[data-testid='wcl-statistics-category']")?.innerText.trim(),
-      homeValue: Array.from(element.querySelectorAll("div[data-testid='wcl-statistics-value'] > strong"))?.[0]?.innerText.trim(),
-      awayValue: Array.from(element.querySelectorAll("div[data-testid='wcl-statistics-value'] > strong"))?.[1]?.innerText.trim(),
+    const { all, is, one } = window.__selectors;
+    return all('h2h.section').map((section) => ({
+      title: one('h2h.title', section)?.innerText.trim(),
+      rows: all('h2h.row', section).map((row) => {
+        const home = one('h2h.home', row);
+        const away = one('h2h.away', row);
+        const scores = all('h2h.score', row);
+        const isHighlighted = (element) => !!element && (is('h2h.highlighted', element) || !!one('h2h.highlighted', element));
+        return {
+          reference: [one('h2h.matchLink', row)?.href, row.getAttribute('onclick'), row.id].filter(Boolean).join(' '),
+          date: one('h2h.date', row)?.innerText.trim(),
+          home: { name: home?.innerText.trim(), highlighted: isHighlighted(home) },
+          away: { name: away?.innerText.trim(), highlighted: isHighlighted(away) },
+          result: { home: scores[0]?.innerText.trim(), away: scores[1]?.innerText.trim() },
+          outcome: one('h2h.outcome', row)?.innerText.trim(),
+        };
+      }),
     }));
   });
 };
+
+const extractPlayerStatistics = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    const table = one('playerStats.table');
+    if (!table) return [];
+
+    const headers = all('playerStats.headerCell', table).map((element) => element.getAttribute('title') || element.innerText.trim());
+    return all('playerStats.row', table).map((row) => {
+      const link = one('playerStats.playerLink', row);
+      const team = one('playerStats.team', row);
+      const cells = all('playerStats.cell', row).map((element) => element.innerText.trim());
+      return {
+        name: link?.innerText.trim(),
+        url: link?.href,
+        team: team?.getAttribute('alt'),
+        values: headers.map((category, index) => ({ category, value: cells[index] })),
+      };
+    });
+  });
+};
@@ -0,0 +1,46 @@
+import { BASE_URL } from '../../../constants/index.js';
+import { navigate, openPage, waitForSelectorSafe } from '../../index.js';
+import { getSelector } from '../../selectors/index.js';
+
+export const ODDS_MARKETS = [
+  { market: '1x2', path: '1x2-odds/full-time', selections: ['home', 'draw', 'away'] },
+  { market: 'over_under', path: 'over-under/full-time', selections: ['over', 'under'] },
+  { market: 'both_teams_to_score', path: 'both-teams-to-score/full-time', selections: ['yes', 'no'] },
+];
+
+export const getMatchOdds = async (browser, matchId) => {
+  const page = await openPage(browser);
+  try {
+    return await getMatchOddsFromPage(page, matchId);
+  } finally {
+    await page.close();
+  }
+};
+
+export const getMatchOddsFromPage = async (page, matchId) => {
+  const odds = [];
+
+  for (const { market, path, selections } of ODDS_MARKETS) {
+    await navigate(page, `${BASE_URL}/match/${matchId}/#/odds-comparison/${path}`);
+    await waitForSelectorSafe(page, getSelector('odds.row'));
+
+    const rows = await extractOddsRows(page);
+    odds.push({ market, selections, rows });
+  }
+
+  return odds;
+};
+
+const extractOddsRows = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    return all('odds.row').map((row) => {
+      const bookmaker = one('odds.bookmaker', row);
+      return {
+        bookmaker: bookmaker?.getAttribute('title') || bookmaker?.getAttribute('alt') || bookmaker?.innerText.trim(),
+        line: one('odds.line', row)?.innerText.trim(),
+        prices: all('odds.price', row).map((cell) => ({ text: cell.innerText.trim(), title: cell.getAttribute('title') })),
+      };
+    });
+  });
+};
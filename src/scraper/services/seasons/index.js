@@ -1,17 +1,19 @@
 import { TIMEOUT } from '../../../constants/index.js';
 import { openPageAndNavigate, waitForSelectorSafe } from '../../index.js';
+import { getSelector } from '../../selectors/index.js';
 
 export const getListOfSeasons = async (browser, leagueUrl) => {
   const page = await openPageAndNavigate(browser, `${leagueUrl}/archive`);
 
-  await waitForSelectorSafe(page, 'div.archive__season > a', TIMEOUT);
+  try {
+    await waitForSelectorSafe(page, getSelector('seasons.link'), TIMEOUT);
 
-  const listOfLeagueSeasons = await page.evaluate(() => {
-    return Array.from(document.querySelectorAll('div.archive__season > a')).map((element) => {
-      return { name: element.innerText.trim(), url: element.href };
+    return await page.evaluate(() => {
+      return window.__selectors.all('seasons.link').map((element) => {
+        return { name: element.innerText.trim(), url: element.href };
+      });
     });
-  });
-
-  await page.close();
-  return listOfLeagueSeasons;
+  } finally {
+    await page.close();
+  }
 };
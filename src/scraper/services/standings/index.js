@@ -0,0 +1,112 @@
+import { navigate, openPage, waitForSelectorSafe } from '../../index.js';
+import { getSelector } from '../../selectors/index.js';
+import { parseTeamId, toInteger } from '../../../normalize/index.js';
+
+export const STANDINGS_TABLES = ['overall', 'home', 'away', 'form'];
+
+/*
+ * Standings of a league season
+ *
+ * {
+ *   hasTable: boolean,                       false for competitions without a table, e.g. knockout cups
+ *   tables: {
+ *     overall, home, away, form: [           one entry per group, a single entry for regular leagues
+ *       {
+ *         group: string | null,              e.g. "Group A"
+ *         rows: [
+ *           {
+ *             rank, played, won, drawn, lost, goalsFor, goalsAgainst, goalDifference, points: number | null,
+ *             team: { id, name, url },
+ *             form: string[],                last 5 results, most recent first, e.g. ["W", "D", "L", "W", "W"]
+ *             zone: string | null,           e.g. "Promotion - Champions League (League phase)", "Relegation"
+ *           },
+ *         ],
+ *       },
+ *     ],
+ *   },
+ * }
+ */
+
+export const getStandings = async (browser, leagueSeasonUrl, options = {}) => {
+  const page = await openPage(browser);
+  try {
+    return await getStandingsFromPage(page, leagueSeasonUrl, options);
+  } finally {
+    await page.close();
+  }
+};
+
+export const getStandingsFromPage = async (page, leagueSeasonUrl, { tables = STANDINGS_TABLES } = {}) => {
+  await navigate(page, `${leagueSeasonUrl.replace(/\/+$/, '')}/standings/`);
+  await waitForSelectorSafe(page, getSelector('standings.row'));
+
+  const tableUrls = await page.evaluate(() => {
+    return window.__selectors.all('standings.tableLink').reduce((acc, element) => {
+      const table = element.href.match(/\/standings\/(overall|home|away|form)\/?$/)?.[1];
+      if (table && !acc[table]) acc[table] = element.href;
+      return acc;
+    }, {});
+  });
+
+  const hasTable = (await page.$(getSelector('standings.row'))) !== null;
+  const standings = { hasTable, tables: Object.fromEntries(tables.map((table) => [table, []])) };
+  if (!hasTable) return standings;
+
+  for (const table of tables) {
+    if (!tableUrls[table] && table !== 'overall') continue;
+    if (tableUrls[table] && page.url() !== tableUrls[table]) {
+      await navigate(page, tableUrls[table]);
+      await waitForSelectorSafe(page, getSelector('standings.row'));
+    }
+    standings.tables[table] = (await extractStandingsTable(page)).map(normalizeGroup);
+  }
+
+  return standings;
+};
+
+const extractStandingsTable = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    return all('standings.table').map((table) => ({
+      group: one('standings.group', table)?.innerText.trim(),
+      rows: all('standings.row', table).map((row) => {
+        const rank = one('standings.rank', row);
+        const team = one('standings.team', row);
+        return {
+          rank: rank?.innerText.trim(),
+          zone: rank?.getAttribute('title'),
+          team: { name: team?.innerText.trim(), url: team?.href },
+          values: all('standings.value', row).map((element) => element.innerText.trim()),
+          form: all('standings.form', row).map((element) => element.innerText.trim()),
+        };
+      }),
+    }));
+  });
+};
+
+const normalizeGroup = ({ group, rows }) => ({
+  group: group && !/^team$/i.test(group) ? group : null,
+  rows: rows.filter(({ team }) => team.name).map(normalizeRow),
+});
+
+// Value columns are MP, W, D, L, G ("45:20"), GD and PTS, some tables leave out the GD column
+const normalizeRow = ({ rank, zone, team, values, form }) => {
+  const [played, won, drawn, lost, goals, ...rest] = values;
+  const [goalDifference, points] = rest.length > 1 ? rest : [null, rest[0]];
+  const [goalsFor = null, goalsAgainst = null] = `${goals ?? ''}`.split(':').map(toInteger);
+
+  return {
+    rank: toInteger(rank),
+    team: { id: parseTeamId(team.url), name: team.name, url: team.url ?? null },
+    played: toInteger(played),
+    won: toInteger(won),
+    drawn: toInteger(drawn),
+    lost: toInteger(lost),
+    goalsFor,
+    goalsAgainst,
+    goalDifference: toInteger(goalDifference) ?? (goalsFor !== null && goalsAgainst !== null ? goalsFor - goalsAgainst : null),
+    points: toInteger(points),
+    form: form.map((result) => result.toUpperCase()).filter((result) => ['W', 'D', 'L'].includes(result)),
+    zone: zone?.trim() || null,
+  };
+};
@@ -0,0 +1,121 @@
+import { BASE_URL } from '../../../constants/index.js';
+import { navigate, openPage, waitForSelector, waitForSelectorSafe } from '../../index.js';
+import { getMatchRowList } from '../matches/index.js';
+import { getSelector } from '../../selectors/index.js';
+import { parseFixtureKickoff, parsePlayerId, parseShortDate, parseTeamId, toInteger, toKey } from '../../../normalize/index.js';
+
+/*
+ * Team profile
+ *
+ * {
+ *   id, name, url, image: string | null,     image is the crest
+ *   venue: { name, city: string | null, capacity: number | null },
+ *   squad: [
+ *     { number: number | null, name, id, url, position, nationality: string | null, age: number | null },
+ *   ],
+ *   results, fixtures: [                     all competitions, most recent first for results
+ *     { matchId, competition, stage, kickoff, status, home: { name }, away: { name }, score: { home, away } },
+ *   ],
+ * }
+ *
+ * Positions are the snake_case squad section in singular form, e.g. "goalkeeper", "defender", "coach".
+ * The matchId of results and fixtures can be passed to getMatchData for the match details.
+ */
+
+export const getTeamUrl = (teamId, slug = '_') => `${BASE_URL}/team/${slug}/${teamId}/`;
+
+export const getTeamProfile = async (browser, teamUrl, { limit = Infinity } = {}) => {
+  const url = teamUrl.replace(/\/+$/, '');
+  const page = await openPage(browser);
+
+  let profile;
+  let squad;
+  try {
+    await navigate(page, `${url}/`);
+    await waitForSelector(page, getSelector('team.name'));
+    profile = await extractTeamHeading(page);
+
+    await navigate(page, `${url}/squad/`);
+    await waitForSelectorSafe(page, getSelector('squad.section'));
+    squad = await extractTeamSquad(page);
+  } finally {
+    await page.close();
+  }
+
+  const results = await getMatchRowList(browser, `${url}/results/`, { showMore: false });
+  const fixtures = await getMatchRowList(browser, `${url}/fixtures/`, { status: 'Scheduled', showMore: false });
+
+  return {
+    id: parseTeamId(`${url}/`),
+    name: profile.name || null,
+    url: `${url}/`,
+    image: profile.image || null,
+    venue: parseVenue(profile.info),
+    squad: squad.flatMap(normalizeSquadSection),
+    results: results.slice(0, limit).map(normalizeTeamMatch),
+    fixtures: fixtures.slice(0, limit).map(normalizeTeamMatch),
+  };
+};
+
+const extractTeamHeading = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    return {
+      name: one('team.name')?.innerText.trim(),
+      image: one('team.logo')?.src,
+      info: all('team.info').map((element) => element.innerText.trim()),
+    };
+  });
+};
+
+const extractTeamSquad = async (page) => {
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    return all('squad.section').map((section) => ({
+      title: one('squad.title', section)?.innerText.trim(),
+      players: all('squad.row', section).map((row) => {
+        const link = one('squad.playerLink', row);
+        return {
+          number: one('squad.number', row)?.innerText.trim(),
+          name: (link ?? one('squad.name', row))?.innerText.trim(),
+          url: link?.href,
+          nationality: one('squad.nationality', row)?.getAttribute('title'),
+          age: one('squad.age', row)?.innerText.trim(),
+        };
+      }),
+    }));
+  });
+};
+
+// The heading reads e.g. "Stadium: Emirates Stadium (London) Capacity: 60 383"
+const parseVenue = (info = []) => {
+  const text = info.join(' ');
+  const [, venue = null, city = null] = text.match(/(?:Stadium|Venue):\s*([^(\n]+?)\s*(?:\(([^)]+)\))?\s*(?:Capacity|$)/i) ?? [];
+  return { name: venue, city, capacity: toInteger(text.match(/Capacity:\s*([\d\s.,]+)/i)?.[1]) };
+};
+
+const normalizeSquadSection = ({ title, players }) => {
+  const position = toKey(title)?.replace(/s$/, '') ?? null;
+  return players
+    .filter(({ name }) => name)
+    .map(({ number, name, url, nationality, age }) => ({
+      number: toInteger(number),
+      name,
+      id: parsePlayerId(url),
+      url: url ?? null,
+      position,
+      nationality: nationality || null,
+      age: toInteger(age),
+    }));
+};
+
+const normalizeTeamMatch = ({ id, competition, stage, date, status, home, away, result }) => ({
+  matchId: id,
+  competition: competition || null,
+  stage: stage || null,
+  kickoff: parseFixtureKickoff(date) ?? parseShortDate(date),
+  status: toKey(status),
+  home: { name: home.name || null },
+  away: { name: away.name || null },
+  score: { home: toInteger(result.home), away: toInteger(result.away) },
+});
@@ -0,0 +1,144 @@
+import { waitForSelectorSafe } from '../index.js';
+import { getSelector } from '../selectors/index.js';
+import { toKey } from '../../normalize/index.js';
+
+/*
+ * Sport specific extractors
+ *
+ * Every sport shares the Flashscore country, league, season and match list pages, only the match result and statistics
+ * differ: football has regulation time, penalties and the score of each half, period based sports list the score of
+ * every quarter, period or set. Each sport names its statistics differently, its key map renames them to one key per
+ * statistic, e.g. "Total Rebounds" to rebounds or "Shots on Goal" to shots_on_target, and replaces keys starting with
+ * a digit or abbreviated, e.g. "7m Goals" or "PIM". Categories without an entry keep their snake_case name.
+ */
+
+// The incidents header of each half ends with the score of that half, e.g. "1st Half" "1 - 0"
+const extractFootballResult = async (page) => {
+  await waitForSelectorSafe(page, getSelector('events.header'));
+
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    const halves = all('events.header').filter((header) => /half/i.test(header.firstElementChild?.innerText ?? ''));
+    return {
+      home: all('result.score')[0]?.innerText.trim(),
+      away: all('result.score')[1]?.innerText.trim(),
+      regulationTime: one('result.fullTime')?.innerText.trim().replace(/[\n()]/g, ''),
+      penalties: all('result.overline')
+        .find((element) => element.innerText.trim().toLowerCase() === 'penalties')
+        ?.nextElementSibling?.innerText?.trim()
+        .replace(/\s+/g, ''),
+      periods: halves.map((header) => {
+        const score = header.childElementCount > 1 ? header.lastElementChild.innerText : '';
+        const [home, away] = score.split('-').map((value) => value.trim());
+        return { home, away };
+      }),
+    };
+  });
+};
+
+// The summary header lists one ".smh__part--<n>" cell per period and side, tennis tiebreaks are in a <sup>
+const extractPeriodResult = async (page) => {
+  await waitForSelectorSafe(page, getSelector('result.part'));
+
+  return await page.evaluate(async () => {
+    const { all, one } = window.__selectors;
+    const getParts = (side) =>
+      all('result.sidePart', document, { side })
+        .map((element) => ({
+          index: Number(element.className.match(/smh__part--(\d+)/)?.[1]),
+          score: element.firstChild?.textContent.trim(),
+          tiebreak: one('result.tiebreak', element)?.innerText.trim(),
+        }))
+        .filter(({ index, score }) => index && score);
+
+    const home = getParts('home');
+    const away = getParts('away');
+    return {
+      home: all('result.score')[0]?.innerText.trim(),
+      away: all('result.score')[1]?.innerText.trim(),
+      periods: home.map((part) => {
+        const awayPart = away.find(({ index }) => index === part.index);
+        return { home: part.score, away: awayPart?.score, homeTiebreak: part.tiebreak, awayTiebreak: awayPart?.tiebreak };
+      }),
+    };
+  });
+};
+
+const createStatisticsExtractor =
+  (keys = {}) =>
+  async (page) => {
+    const statistics = await page.evaluate(async () => {
+      const { all, one } = window.__selectors;
+      return all('statistics.row').map((element) => ({
+        category: one('statistics.category', element)?.innerText.trim(),
+        homeValue: all('statistics.value', element)[0]?.innerText.trim(),
+        awayValue: all('statistics.value', element)[1]?.innerText.trim(),
+      }));
+    });
+    return statistics.map((statistic) => ({ ...statistic, category: keys[toKey(statistic.category)] ?? statistic.category }));
+  };
+
+// Flashscore lists the same statistic as "Shots on Goal" or "Shots on target" depending on the match, one key is kept
+const FOOTBALL_STATISTICS = {
+  goal_attempts: 'total_shots',
+  shots_on_goal: 'shots_on_target',
+  shots_off_goal: 'shots_off_target',
+  corners: 'corner_kicks',
+  expected_goals_xg: 'expected_goals',
+};
+
+const BASKETBALL_STATISTICS = {
+  total_rebounds: 'rebounds',
+  personal_fouls: 'fouls',
+  '2_point_field_g_attempted': 'two_pointers_attempted',
+  '2_point_field_g_made': 'two_pointers_made',
+  '3_point_field_g_attempted': 'three_pointers_attempted',
+  '3_point_field_g_made': 'three_pointers_made',
+};
+
+const HOCKEY_STATISTICS = {
+  pim: 'penalty_minutes',
+};
+
+const HANDBALL_STATISTICS = {
+  '7m_goals': 'seven_meter_goals',
+  '7_meter_goals': 'seven_meter_goals',
+  '2_min_penalties': 'two_minute_suspensions',
+  '2_minute_suspensions': 'two_minute_suspensions',
+  goalkeeper_saves: 'saves',
+};
+
+const BASEBALL_STATISTICS = {
+  h: 'hits',
+  e: 'errors',
+  lob: 'left_on_base',
+};
+
+const VOLLEYBALL_STATISTICS = {
+  service_aces: 'aces',
+  block_points: 'blocks',
+};
+
+const TENNIS_STATISTICS = {
+  break_points_converted: 'break_points',
+  '1st_serve_percentage': 'first_serve_percentage',
+  '1st_serve_points_won': 'first_serve_points_won',
+  '2nd_serve_points_won': 'second_serve_points_won',
+};
+
+export const SPORTS = {
+  football: { extractResult: extractFootballResult, extractStatistics: createStatisticsExtractor(FOOTBALL_STATISTICS), hasEvents: true, hasLineups: true },
+  basketball: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(BASKETBALL_STATISTICS), hasEvents: false, hasLineups: true },
+  hockey: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(HOCKEY_STATISTICS), hasEvents: true, hasLineups: true },
+  handball: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(HANDBALL_STATISTICS), hasEvents: false, hasLineups: true },
+  baseball: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(BASEBALL_STATISTICS), hasEvents: false, hasLineups: false },
+  volleyball: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(VOLLEYBALL_STATISTICS), hasEvents: false, hasLineups: false },
+  tennis: { extractResult: extractPeriodResult, extractStatistics: createStatisticsExtractor(TENNIS_STATISTICS), hasEvents: false, hasLineups: false },
+};
+
+export const SPORT_NAMES = Object.keys(SPORTS);
+
+export const getSport = (sport = 'football') => {
+  if (!SPORTS[sport]) throw new Error(`Unsupported sport "${sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+  return SPORTS[sport];
+};
@@ -0,0 +1,268 @@
+import http from 'http';
+import path from 'path';
+
+import { CONCURRENCY, OUTPUT_PATH, SERVER_PORT, SQLITE_FILE_NAME } from './constants/index.js';
+
+import { exitWithError, launchBrowser, parseCommandArgs } from './cli/command/index.js';
+
+import { withRetry } from './scraper/retry/index.js';
+import { SPORT_NAMES } from './scraper/sports/index.js';
+import { createLookups } from './scraper/lookups/index.js';
+import { getMatchData } from './scraper/services/matches/index.js';
+import { getStandings } from './scraper/services/standings/index.js';
+
+import { normalizeMatchData } from './normalize/index.js';
+import { scrapeSeason } from './scrape/index.js';
+import { createJobQueue } from './jobs/index.js';
+import { createSqliteStore, toPathId } from './files/sqlite/index.js';
+import { createLookupCache } from './files/cache/index.js';
+
+const USAGE = `
+Usage: node src/server.js [options]
+
+Serves the SQLite data store over HTTP, add ?refresh=true to a data endpoint to queue a scrape of it.
+
+Endpoints:
+  GET /countries?sport=<name>        Countries of a sport (default: football)
+  GET /leagues?country=<id>          Leagues of a country, e.g. country=england
+  GET /seasons?league=<id>           Seasons of a league, e.g. league=england/premier-league
+  GET /matches?season=<id>           Matches of a season, e.g. season=england/premier-league-2023-2024
+  GET /matches/<id>                  A single match with its information, statistics and player statistics
+  GET /teams?league=<id>             Team catalogue, all teams without league (refresh requires a league)
+  GET /jobs                          Queued, running and finished scrape jobs
+  GET /jobs/<id>                     Status of a scrape job
+
+Options:
+  --port <n>         Port to listen on (default: ${SERVER_PORT})
+  --host <host>      Host to listen on (default: 127.0.0.1)
+  --output <dir>     Directory of the ${SQLITE_FILE_NAME}.sqlite data store (default: ${OUTPUT_PATH})
+  --no-headless      Show the browser window
+  -h, --help         Show this help
+`;
+
+class HttpRequestError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const sendJson = (response, statusCode, body, headers = {}) => {
+  response.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8', ...headers });
+  response.end(JSON.stringify(body, null, 2));
+};
+
+const getSportFromUrl = (url) => {
+  const [sport] = new URL(url).pathname.split('/').filter(Boolean);
+  return SPORT_NAMES.includes(sport) ? sport : 'football';
+};
+
+const requireParam = (searchParams, name) => {
+  const value = searchParams.get(name);
+  if (!value) throw new HttpRequestError(400, `Missing "${name}" query parameter`);
+  return value;
+};
+
+const requireFound = (item, label) => {
+  if (!item) throw new HttpRequestError(404, `${label} not found`);
+  return item;
+};
+
+(async () => {
+  const { values } = parseCommandArgs(
+    {
+      port: { type: 'string', default: String(SERVER_PORT) },
+      host: { type: 'string', default: '127.0.0.1' },
+      output: { type: 'string', default: OUTPUT_PATH },
+    },
+    { browser: true }
+  );
+
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) exitWithError(`Invalid --port "${values.port}", expected a port number`);
+
+  const { output } = values;
+  const store = createSqliteStore(path.join(output, `${SQLITE_FILE_NAME}.sqlite`));
+  const jobs = createJobQueue();
+  // Refresh jobs always fetch, the lists they fetch also update the lookup cache of the CLI
+  const { getListOfCountries, getListOfLeagues, getListOfSeasons } = createLookups(createLookupCache({ mode: 'refresh' }));
+
+  // Launched on the first refresh and shared by every job, jobs run one at a time. Relaunched after a crash.
+  let browserPromise = null;
+  const getBrowser = () =>
+    (browserPromise ??= launchBrowser(values).then(
+      (browser) => {
+        browser.on('disconnected', () => (browserPromise = null));
+        return browser;
+      },
+      (error) => {
+        browserPromise = null;
+        throw error;
+      }
+    ));
+
+  const refreshCountries = (sport) =>
+    jobs.enqueue('countries', { sport }, async () => {
+      const countries = await withRetry(async () => getListOfCountries(await getBrowser(), sport), { stage: 'countries' });
+      store.saveCountries(countries);
+      return { countries: countries.length };
+    });
+
+  // Leagues are listed under the menu id of the country, which only the live country list has
+  const refreshLeagues = (country) =>
+    jobs.enqueue('leagues', { country: country.id }, async () => {
+      const browser = await getBrowser();
+      const sport = getSportFromUrl(country.url);
+      const countries = await withRetry(() => getListOfCountries(browser, sport), { stage: 'countries' });
+      const menuId = countries.find(({ url }) => toPathId(url) === country.id)?.id;
+      if (!menuId) throw new Error(`${country.name} is no longer listed on Flashscore`);
+
+      const leagues = await withRetry(() => getListOfLeagues(browser, menuId, sport), { stage: 'leagues' });
+      store.saveLeagues(country.id, leagues);
+      return { leagues: leagues.length };
+    });
+
+  const refreshSeasons = (league) =>
+    jobs.enqueue('seasons', { league: league.id }, async () => {
+      const seasons = await withRetry(async () => getListOfSeasons(await getBrowser(), league.url), { url: league.url, stage: 'seasons' });
+      store.saveSeasons(league.id, seasons);
+      return { seasons: seasons.length };
+    });
+
+  const refreshSeasonMatches = (season, league, country) =>
+    jobs.enqueue('matches', { season: season.id }, async () => {
+      const target = { sport: getSportFromUrl(season.url), country, league, season };
+      const settings = { fileType: 'sqlite', output, mode: 'results', concurrency: CONCURRENCY, refresh: true };
+      const { error, fileName, filePath, failuresPath, ...summary } = await scrapeSeason(await getBrowser(), target, settings);
+      if (error) throw error;
+      return { ...summary, failuresPath: summary.failures ? failuresPath : null };
+    });
+
+  const refreshMatch = (matchId, { seasonId, sport }) =>
+    jobs.enqueue('match', { matchId }, async () => {
+      const data = await withRetry(async () => getMatchData(await getBrowser(), matchId, { sport }), { stage: 'match' });
+      const match = normalizeMatchData(matchId, data, { sport });
+      store.saveMatch(matchId, match, seasonId);
+      return { matchId, status: match.status };
+    });
+
+  // The overall standings table lists the teams of the current season
+  const refreshTeams = (league) =>
+    jobs.enqueue('teams', { league: league.id }, async () => {
+      const standings = await withRetry(async () => getStandings(await getBrowser(), league.url, { tables: ['overall'] }), { url: league.url, stage: 'standings' });
+      const teams = standings.tables.overall.flatMap(({ rows }) => rows.map(({ team }) => team)).filter(({ id }) => id);
+      store.saveLeagueTeams(league.id, teams);
+      return { teams: teams.length };
+    });
+
+  const routes = [
+    {
+      pattern: /^\/countries$/,
+      handler: ({ searchParams }) => {
+        const sport = searchParams.get('sport') ?? 'football';
+        if (!SPORT_NAMES.includes(sport)) throw new HttpRequestError(400, `Invalid sport "${sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+        return { refresh: () => refreshCountries(sport), data: () => store.getCountries(sport) };
+      },
+    },
+    {
+      pattern: /^\/leagues$/,
+      handler: ({ searchParams }) => {
+        const country = requireFound(store.getCountry(requireParam(searchParams, 'country')), 'Country');
+        return { refresh: () => refreshLeagues(country), data: () => store.getLeagues(country.id) };
+      },
+    },
+    {
+      pattern: /^\/seasons$/,
+      handler: ({ searchParams }) => {
+        const league = requireFound(store.getLeague(requireParam(searchParams, 'league')), 'League');
+        return { refresh: () => refreshSeasons(league), data: () => store.getSeasons(league.id) };
+      },
+    },
+    {
+      pattern: /^\/matches$/,
+      handler: ({ searchParams }) => {
+        const season = requireFound(store.getSeason(requireParam(searchParams, 'season')), 'Season');
+        const league = store.getLeague(season.leagueId);
+        const country = league && store.getCountry(league.countryId);
+        return { refresh: () => refreshSeasonMatches(season, league, country), data: () => store.getSeasonMatches(season.id) };
+      },
+    },
+    {
+      pattern: /^\/matches\/([A-Za-z0-9]{8})$/,
+      handler: ({ searchParams }, [, matchId]) => {
+        const match = store.getMatch(matchId);
+        const season = match?.seasonId ? store.getSeason(match.seasonId) : null;
+        const sport = season?.url ? getSportFromUrl(season.url) : (searchParams.get('sport') ?? 'football');
+        if (!SPORT_NAMES.includes(sport)) throw new HttpRequestError(400, `Invalid sport "${sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+        return { refresh: () => refreshMatch(matchId, { seasonId: match?.seasonId ?? null, sport }), data: () => requireFound(match, 'Match') };
+      },
+    },
+    {
+      pattern: /^\/teams$/,
+      handler: ({ searchParams }) => {
+        const leagueId = searchParams.get('league');
+        const league = leagueId ? requireFound(store.getLeague(leagueId), 'League') : null;
+        return {
+          refresh: () => {
+            if (!league) throw new HttpRequestError(400, 'Refreshing the team catalogue requires a "league" query parameter');
+            return refreshTeams(league);
+          },
+          data: () => store.getTeams(league?.id),
+        };
+      },
+    },
+    {
+      pattern: /^\/jobs$/,
+      handler: () => ({ data: () => jobs.list() }),
+    },
+    {
+      pattern: /^\/jobs\/([^/]+)$/,
+      handler: (url, [, jobId]) => ({ data: () => requireFound(jobs.get(jobId), 'Job') }),
+    },
+  ];
+
+  const server = http.createServer((request, response) => {
+    try {
+      if (request.method !== 'GET') throw new HttpRequestError(405, `Method ${request.method} not allowed`);
+
+      const url = new URL(request.url, 'http://localhost');
+      const pathname = url.pathname.replace(/\/+$/, '') || '/';
+      const route = routes.find(({ pattern }) => pattern.test(pathname));
+      if (!route) throw new HttpRequestError(404, `No endpoint for ${pathname}, see --help for the list of endpoints`);
+
+      const { data, refresh } = route.handler(url, pathname.match(route.pattern));
+      if (url.searchParams.get('refresh') === 'true') {
+        if (!refresh) throw new HttpRequestError(400, `${pathname} cannot be refreshed`);
+        const job = refresh();
+        sendJson(response, 202, { job }, { location: `/jobs/${job.id}` });
+        return;
+      }
+
+      sendJson(response, 200, { data: data() });
+    } catch (error) {
+      if (!(error instanceof HttpRequestError)) console.error(`❌ ERROR: ${request.method} ${request.url} (${error.name}: ${error.message})`);
+      sendJson(response, error.statusCode ?? 500, { error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  });
+
+  const shutdown = async () => {
+    server.close();
+    store.close();
+    if (browserPromise) await (await browserPromise).close();
+    console.info('\n⏸️ Server stopped.\n');
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  server.on('error', (error) => exitWithError(`Unable to start the server (${error.message})`));
+  server.listen(port, values.host, () => {
+    console.info(`\n✅ Serving ${store.filePath} on http://${values.host}:${server.address().port}`);
+    console.info('Press Ctrl+C to stop.\n');
+  });
+})();
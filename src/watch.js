@@ -0,0 +1,175 @@
+import { BASE_URL, WATCH_INTERVAL, WATCH_MAX_FAILED_POLLS } from './constants/index.js';
+
+import { exitWithError, launchBrowser, parseCommandArgs } from './cli/command/index.js';
+import { findByName } from './cli/resolve/index.js';
+
+import { openPage } from './scraper/index.js';
+import { withRetry } from './scraper/retry/index.js';
+import { SPORT_NAMES } from './scraper/sports/index.js';
+import { createLookups } from './scraper/lookups/index.js';
+import { getLiveMatchDataFromPage, getLiveMatchList } from './scraper/services/matches/index.js';
+
+import { normalizeMatchData, parseMatchId } from './normalize/index.js';
+import { getMatchChanges, isMatchFinished } from './live/index.js';
+import { createLookupCache } from './files/cache/index.js';
+
+const USAGE = `
+Usage: node src/watch.js [match ids...] [options]
+
+Polls live matches and prints one NDJSON change event per line on stdout: the first snapshot of every match, then
+status, score, incident and statistics changes. Stops once every watched match is finished. A match that fails
+--max-failed-polls polls in a row is dropped with an error event.
+
+Options:
+  --country <name>   Country of the league to watch, e.g. "England"
+  --league <name>    Watch the matches of the league that are live when the command starts
+  --sport <name>     Sport of the matches: ${SPORT_NAMES.join(', ')} (default: football)
+  --interval <s>     Seconds between two polls (default: ${WATCH_INTERVAL / 1000})
+  --max-failed-polls <n>
+                     Failed polls in a row before a match is dropped, each poll already retries (default: ${WATCH_MAX_FAILED_POLLS})
+  --webhook <url>    Also POST every change event as JSON to this url, e.g. http://localhost:3000/events
+  --no-cache         Fetch the country and league lists without the lookup cache
+  --refresh-cache    Fetch the country and league lists again and update the lookup cache
+  --no-headless      Show the browser window
+  -h, --help         Show this help
+`;
+
+// stdout is reserved for the NDJSON events, messages go to stderr
+const postToWebhook = async (webhook, change) => {
+  try {
+    const response = await fetch(webhook, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(change) });
+    if (!response.ok) console.error(`⚠️ Webhook answered ${response.status} for the ${change.type} event of ${change.matchId}`);
+  } catch (error) {
+    console.error(`⚠️ Unable to reach the webhook ${webhook} (${error.message})`);
+  }
+};
+
+const emitChange = async (webhook, change) => {
+  process.stdout.write(`${JSON.stringify(change)}\n`);
+  if (webhook) await postToWebhook(webhook, change);
+};
+
+(async () => {
+  const { values, positionals } = parseCommandArgs(
+    {
+      country: { type: 'string' },
+      league: { type: 'string' },
+      sport: { type: 'string', default: 'football' },
+      interval: { type: 'string', default: String(WATCH_INTERVAL / 1000) },
+      'max-failed-polls': { type: 'string', default: String(WATCH_MAX_FAILED_POLLS) },
+      webhook: { type: 'string' },
+      'no-cache': { type: 'boolean', default: false },
+      'refresh-cache': { type: 'boolean', default: false },
+    },
+    { allowPositionals: true, browser: true }
+  );
+
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  const interval = Number(values.interval);
+  if (!(interval > 0)) exitWithError(`Invalid --interval "${values.interval}", expected a positive number of seconds`);
+  const maxFailedPolls = Number(values['max-failed-polls']);
+  if (!(Number.isInteger(maxFailedPolls) && maxFailedPolls > 0)) exitWithError(`Invalid --max-failed-polls "${values['max-failed-polls']}", expected a positive integer`);
+  if (!SPORT_NAMES.includes(values.sport)) exitWithError(`Invalid --sport "${values.sport}", expected one of: ${SPORT_NAMES.join(', ')}`);
+  if (values.webhook && !/^https?:\/\//.test(values.webhook)) exitWithError(`Invalid --webhook "${values.webhook}", expected an http(s) url`);
+  if (values.league && !values.country) exitWithError('--league requires --country');
+  if (!positionals.length && !values.league) exitWithError('Missing match ids or --country and --league.');
+
+  const { sport, webhook } = values;
+  const browser = await launchBrowser(values);
+
+  let matchIds = positionals.map((id) => parseMatchId(id) ?? id);
+  if (values.league) {
+    try {
+      const lookups = createLookups(createLookupCache({ mode: values['no-cache'] ? 'off' : values['refresh-cache'] ? 'refresh' : 'use' }));
+      const country = findByName(await lookups.getListOfCountries(browser, sport), values.country, 'country');
+      const league = findByName(await lookups.getListOfLeagues(browser, country.id, sport), values.league, `league in ${country.name}`);
+      const liveMatches = await withRetry(() => getLiveMatchList(browser, league.url), { url: league.url, stage: 'live-list' });
+      matchIds = [...new Set([...matchIds, ...liveMatches.map(({ id }) => id)])];
+      console.error(`📝 ${liveMatches.length} live matches in ${country.name} ${league.name}.`);
+    } catch (error) {
+      await browser.close();
+      exitWithError(error.message);
+    }
+  }
+
+  if (!matchIds.length) {
+    await browser.close();
+    console.error('\n⚠️ No live matches to watch.\n');
+    return;
+  }
+
+  let stopping = false;
+  let wake = null;
+  const interrupt = () => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    wake?.();
+  };
+  process.on('SIGINT', interrupt);
+  process.on('SIGTERM', interrupt);
+
+  const matches = {};
+  const pages = {};
+  const failedPolls = {};
+  let pending = matchIds;
+
+  console.error(`📝 Watching ${pending.length} matches every ${interval}s.`);
+  while (pending.length && !stopping) {
+    for (const id of pending) {
+      if (stopping) break;
+      pages[id] ??= await openPage(browser);
+
+      let match;
+      try {
+        const data = await withRetry(() => getLiveMatchDataFromPage(pages[id], id, { sport }), { url: `${BASE_URL}/match/${id}/`, stage: 'live' });
+        match = normalizeMatchData(id, data, { sport });
+      } catch (error) {
+        failedPolls[id] = (failedPolls[id] ?? 0) + 1;
+        console.error(`⚠️ Unable to poll ${id}, ${failedPolls[id]}/${maxFailedPolls} (${error.name}: ${error.message})`);
+        if (failedPolls[id] >= maxFailedPolls) {
+          await emitChange(webhook, { type: 'error', matchId: id, at: new Date().toISOString(), message: `${error.name}: ${error.message}` });
+          await pages[id].close();
+          delete pages[id];
+        }
+        continue;
+      }
+
+      delete failedPolls[id];
+      for (const change of getMatchChanges(matches[id], match)) await emitChange(webhook, change);
+      matches[id] = match;
+
+      if (isMatchFinished(match)) {
+        await pages[id].close();
+        delete pages[id];
+      }
+    }
+
+    pending = pending.filter((id) => !isMatchFinished(matches[id]) && (failedPolls[id] ?? 0) < maxFailedPolls);
+    if (!pending.length || stopping) break;
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, interval * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  await browser.close();
+  if (stopping) {
+    console.error('\n⏸️ Watch interrupted.\n');
+    process.exitCode = 130;
+    return;
+  }
+  const dropped = matchIds.filter((id) => failedPolls[id] >= maxFailedPolls);
+  if (dropped.length) {
+    console.error(`\n⚠️ ${dropped.length} matches dropped after ${maxFailedPolls} failed polls: ${dropped.join(', ')}, the others are finished.\n`);
+    process.exitCode = 1;
+    return;
+  }
+  console.error('\n✅ Every watched match is finished.\n');
+})();
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { createCsvWriter, escapeCsvValue } from '../src/files/csv/index.js';
+import { createFootballDataWriter, getDivision } from '../src/files/footballData/index.js';
+import { appendCheckpoint, compactCheckpoint, loadCheckpoint } from '../src/files/checkpoint/index.js';
+import { clearCache, createLookupCache, listCacheEntries } from '../src/files/cache/index.js';
+import { readTargetsFile } from '../src/files/targets/index.js';
+
+const createMatch = (matchId, overrides = {}) => ({
+  schemaVersion: 3,
+  sport: 'football',
+  matchId,
+  stage: 'ENGLAND: Premier League - Round 5',
+  kickoff: '2024-05-12T15:00:00+00:00',
+  status: 'finished',
+  home: { id: 'hA1Zm19f', name: 'Arsenal', url: null, image: null },
+  away: { id: 'lId4TMwf', name: 'Liverpool', url: null, image: null },
+  result: { home: 2, away: 1, regulationTime: null, penalties: null, periods: [{ home: 1, away: 1, tiebreak: null }, { home: 1, away: 0, tiebreak: null }] },
+  information: { referee: 'Oliver M.', venue: 'Emirates Stadium' },
+  statistics: { goal_attempts: { home: 15, away: 8 }, shots_on_goal: { home: 6, away: 3 }, corner_kicks: { home: 7, away: 2 } },
+  events: [],
+  ...overrides,
+});
+
+const readCsv = (filePath) =>
+  fs
+    .readFileSync(filePath, 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => line.split(','));
+
+describe('files', () => {
+  let outputPath;
+
+  before(() => {
+    outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flashscore-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(outputPath, { recursive: true, force: true });
+  });
+
+  test('escapeCsvValue quotes separators and quotes', () => {
+    assert.equal(escapeCsvValue('Arsenal'), 'Arsenal');
+    assert.equal(escapeCsvValue('Oliver, M.'), '"Oliver, M."');
+    assert.equal(escapeCsvValue('The "Gunners"'), '"The ""Gunners"""');
+    assert.equal(escapeCsvValue(null), '');
+    assert.equal(escapeCsvValue(0), '0');
+  });
+
+  test('the wide csv writer unites the columns of every match', () => {
+    const writer = createCsvWriter(outputPath, 'wide');
+    writer.open();
+    writer.append('AAAAAAA1', createMatch('AAAAAAA1'));
+    writer.append('AAAAAAA2', createMatch('AAAAAAA2', { statistics: { fouls: { home: 10, away: 12 } } }));
+    writer.close();
+
+    const [header, first, second] = readCsv(writer.filePath);
+    const column = (row, name) => row[header.indexOf(name)];
+    assert.ok(header.includes('period_2_home'));
+    assert.ok(header.indexOf('corner_kicks_home') < header.indexOf('fouls_home'));
+    assert.equal(column(first, 'matchId'), 'AAAAAAA1');
+    assert.equal(column(first, 'referee'), 'Oliver M.');
+    assert.equal(column(first, 'goal_attempts_home'), '15');
+    assert.equal(column(first, 'fouls_home'), '');
+    assert.equal(column(second, 'fouls_away'), '12');
+    assert.ok(!fs.existsSync(`${writer.filePath}.rows.tmp`));
+  });
+
+  test('the long csv writer has one row per side and statistic', () => {
+    const writer = createCsvWriter(outputPath, 'long', { layout: 'long' });
+    writer.open();
+    writer.append('AAAAAAA1', createMatch('AAAAAAA1'));
+    writer.close();
+
+    const [header, ...rows] = readCsv(writer.filePath);
+    const goals = rows.filter((row) => row[header.indexOf('statistic')] === 'goals');
+    assert.equal(rows.length, 2 * 6);
+    assert.deepEqual(
+      goals.map((row) => [row[header.indexOf('team_name')], row[header.indexOf('opponent_name')], row[header.indexOf('value')]]),
+      [
+        ['Arsenal', 'Liverpool', '2'],
+        ['Liverpool', 'Arsenal', '1'],
+      ]
+    );
+  });
+
+  test('the football-data writer maps the score and statistics columns', () => {
+    const writer = createFootballDataWriter(outputPath, 'football-data', {
+      country: { name: 'England' },
+      league: { name: 'Premier League', url: 'https://www.flashscore.com/football/england/premier-league/' },
+    });
+    writer.open();
+    writer.append('AAAAAAA1', createMatch('AAAAAAA1'));
+    writer.append('AAAAAAA2', createMatch('AAAAAAA2', { result: { home: 3, away: 3, regulationTime: { home: 1, away: 1 }, penalties: { home: 4, away: 3 }, periods: [] } }));
+    writer.close();
+
+    const [header, first, second] = readCsv(writer.filePath);
+    const row = (values) => Object.fromEntries(header.map((column, index) => [column, values[index]]));
+    assert.deepEqual(
+      (({ Div, Date, Time, HomeTeam, FTHG, FTAG, FTR, HTHG, HTAG, HTR, HS, HST, HC, HF }) => ({ Div, Date, Time, HomeTeam, FTHG, FTAG, FTR, HTHG, HTAG, HTR, HS, HST, HC, HF }))(row(first)),
+      { Div: 'E0', Date: '12/05/2024', Time: '15:00', HomeTeam: 'Arsenal', FTHG: '2', FTAG: '1', FTR: 'H', HTHG: '1', HTAG: '1', HTR: 'D', HS: '15', HST: '6', HC: '7', HF: '' }
+    );
+    assert.deepEqual([row(second).FTHG, row(second).FTAG, row(second).FTR, row(second).HTR], ['1', '1', 'D', '']);
+  });
+
+  test('getDivision falls back to the league name outside football-data', () => {
+    assert.equal(getDivision({ name: 'Spain' }, { name: 'LaLiga', url: 'https://www.flashscore.com/football/spain/laliga/' }), 'SP1');
+    assert.equal(getDivision({ name: 'Japan' }, { name: 'J1 League', url: 'https://www.flashscore.com/football/japan/j1-league/' }), 'Japan J1 League');
+    assert.equal(getDivision(undefined, undefined), null);
+  });
+
+  test('loadCheckpoint keeps the latest entry of each match', () => {
+    appendCheckpoint(outputPath, 'season', { matchId: 'AAAAAAA1', status: 'live' });
+    appendCheckpoint(outputPath, 'season', { matchId: 'AAAAAAA2', status: 'finished' });
+    appendCheckpoint(outputPath, 'season', { matchId: 'AAAAAAA1', status: 'finished' });
+
+    assert.deepEqual(loadCheckpoint(outputPath, 'season'), {
+      AAAAAAA1: { matchId: 'AAAAAAA1', status: 'finished' },
+      AAAAAAA2: { matchId: 'AAAAAAA2', status: 'finished' },
+    });
+    assert.deepEqual(loadCheckpoint(outputPath, 'missing'), {});
+  });
+
+  test('loadCheckpoint skips and reports corrupt lines', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    fs.writeFileSync(path.join(outputPath, 'corrupt.checkpoint.ndjson'), `{"matchId":"AAAAAAA1"}\n{"matchId":"AAAA\n\n`);
+
+    assert.deepEqual(loadCheckpoint(outputPath, 'corrupt'), { AAAAAAA1: { matchId: 'AAAAAAA1' } });
+    assert.equal(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[0], /line 2 of the checkpoint file/);
+  });
+
+  test('compactCheckpoint keeps the listed matches and removes an empty checkpoint', () => {
+    const filePath = path.join(outputPath, 'season.checkpoint.ndjson');
+
+    compactCheckpoint(outputPath, 'season', ['AAAAAAA1']);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), `${JSON.stringify({ matchId: 'AAAAAAA1', status: 'finished' })}\n`);
+
+    compactCheckpoint(outputPath, 'season', []);
+    assert.ok(!fs.existsSync(filePath));
+  });
+
+  test('the lookup cache serves fresh entries and fetches expired ones again', async () => {
+    const cachePath = path.join(outputPath, 'cache');
+    let fetches = 0;
+    const fetchCountries = async () => [{ name: `fetch ${++fetches}` }];
+
+    const cache = createLookupCache({ cachePath, ttl: 60000 });
+    assert.deepEqual(await cache.wrap('countries:football', fetchCountries), [{ name: 'fetch 1' }]);
+    assert.deepEqual(await cache.wrap('countries:football', fetchCountries), [{ name: 'fetch 1' }]);
+
+    const expired = createLookupCache({ cachePath, ttl: 0 });
+    assert.deepEqual(await expired.wrap('countries:football', fetchCountries), [{ name: 'fetch 2' }]);
+
+    const refresh = createLookupCache({ cachePath, mode: 'refresh' });
+    assert.deepEqual(await refresh.wrap('countries:football', fetchCountries), [{ name: 'fetch 3' }]);
+
+    const off = createLookupCache({ cachePath, mode: 'off' });
+    assert.deepEqual(await off.wrap('leagues:football', fetchCountries), [{ name: 'fetch 4' }]);
+    assert.deepEqual(await cache.wrap('empty', async () => []), []);
+
+    assert.deepEqual(
+      listCacheEntries(cachePath, 60000).map(({ key, expired, items }) => ({ key, expired, items })),
+      [{ key: 'countries:football', expired: false, items: 1 }]
+    );
+    assert.equal(clearCache(cachePath, { prefix: 'countries:' }), 1);
+    assert.deepEqual(listCacheEntries(cachePath), []);
+  });
+
+  test('readTargetsFile validates every entry', () => {
+    const filePath = path.join(outputPath, 'targets.json');
+    const readTargets = (targets) => {
+      fs.writeFileSync(filePath, JSON.stringify(targets));
+      return readTargetsFile(filePath);
+    };
+
+    assert.deepEqual(readTargets([{ sport: 'basketball', country: 'USA', league: 'NBA', allSeasons: true }]), [
+      { sport: 'basketball', country: 'USA', league: 'NBA', season: null, allSeasons: true },
+    ]);
+    assert.throws(() => readTargets([]), /non-empty JSON array/);
+    assert.throws(() => readTargets([{ country: 'England' }]), /target 1 needs a "country" and a "league"/);
+    assert.throws(() => readTargets([{ sport: 'soccer', country: 'England', league: 'Premier League' }]), /target 1 has an invalid "sport" "soccer"/);
+    assert.throws(() => readTargets([{ country: 'England', league: 'Premier League', season: '2023/2024', allSeasons: true }]), /cannot have both/);
+  });
+});
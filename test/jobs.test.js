@@ -0,0 +1,63 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { createJobQueue } from '../src/jobs/index.js';
+
+const waitUntilIdle = async (queue) => {
+  while (!queue.isIdle()) await new Promise((resolve) => setTimeout(resolve, 1));
+};
+
+describe('job queue', () => {
+  test('runs one job at a time in order', async () => {
+    const queue = createJobQueue();
+    const order = [];
+    let running = 0;
+    const task = (name) => async () => {
+      running++;
+      assert.equal(running, 1);
+      order.push(name);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+      return { name };
+    };
+
+    const first = queue.enqueue('season', { season: 1 }, task('first'));
+    const second = queue.enqueue('season', { season: 2 }, task('second'));
+    assert.equal(first.status, 'running');
+    assert.equal(second.status, 'queued');
+
+    await waitUntilIdle(queue);
+    assert.deepEqual(order, ['first', 'second']);
+    assert.deepEqual(queue.get(second.id).result, { name: 'second' });
+    assert.equal(queue.get(second.id).status, 'completed');
+    assert.ok(queue.get(second.id).finishedAt);
+    assert.equal(queue.get('404'), null);
+  });
+
+  test('returns the pending job for an identical request', async () => {
+    const queue = createJobQueue();
+    const first = queue.enqueue('season', { season: 1 }, async () => null);
+    const duplicate = queue.enqueue('season', { season: 1 }, async () => null);
+
+    assert.equal(duplicate.id, first.id);
+    assert.equal(queue.list().length, 1);
+
+    await waitUntilIdle(queue);
+    assert.notEqual(queue.enqueue('season', { season: 1 }, async () => null).id, first.id);
+    await waitUntilIdle(queue);
+  });
+
+  test('records the error of a failed job and keeps going', async () => {
+    const queue = createJobQueue();
+    const failed = queue.enqueue('match', { id: 1 }, async () => {
+      throw new TypeError('boom');
+    });
+    const next = queue.enqueue('match', { id: 2 }, async () => 'done');
+
+    await waitUntilIdle(queue);
+    assert.equal(queue.get(failed.id).status, 'failed');
+    assert.deepEqual(queue.get(failed.id).error, { name: 'TypeError', message: 'boom' });
+    assert.equal(queue.get(next.id).result, 'done');
+    assert.ok(queue.list().every((job) => !('task' in job) && !('key' in job)));
+  });
+});
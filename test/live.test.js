@@ -0,0 +1,68 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { getMatchChanges, isMatchFinished } from '../src/live/index.js';
+
+const AT = '2024-05-12T15:30:00.000Z';
+
+const createMatch = (overrides = {}) => ({
+  matchId: 'KjLqRtUv',
+  status: '1st_half',
+  result: { home: 0, away: 0, periods: [] },
+  events: [],
+  statistics: { ball_possession: { home: 50, away: 50 } },
+  ...overrides,
+});
+
+const goal = (minute, side) => ({ type: 'goal', period: '1st_half', minute, addedTime: null, side, player: 'Saka' });
+
+describe('live changes', () => {
+  test('the first poll is a snapshot', () => {
+    const match = createMatch();
+    assert.deepEqual(getMatchChanges(undefined, match, AT), [{ type: 'snapshot', matchId: 'KjLqRtUv', at: AT, match }]);
+  });
+
+  test('an unchanged match has no changes', () => {
+    assert.deepEqual(getMatchChanges(createMatch(), createMatch(), AT), []);
+  });
+
+  test('reports the status, score, incidents and statistics that changed', () => {
+    const previous = createMatch({ events: [goal(12, 'home')], result: { home: 1, away: 0, periods: [] } });
+    const current = createMatch({
+      status: 'half_time',
+      result: { home: 2, away: 0, periods: [{ home: 2, away: 0 }] },
+      events: [goal(12, 'home'), goal(40, 'home')],
+      statistics: { ball_possession: { home: 55, away: 45 }, corner_kicks: { home: 3, away: 1 } },
+    });
+
+    assert.deepEqual(getMatchChanges(previous, current, AT), [
+      { type: 'status', matchId: 'KjLqRtUv', at: AT, previous: '1st_half', current: 'half_time' },
+      { type: 'score', matchId: 'KjLqRtUv', at: AT, previous: { home: 1, away: 0, periods: [] }, current: { home: 2, away: 0, periods: [{ home: 2, away: 0 }] } },
+      { type: 'incident', matchId: 'KjLqRtUv', at: AT, event: goal(40, 'home') },
+      {
+        type: 'statistics',
+        matchId: 'KjLqRtUv',
+        at: AT,
+        deltas: {
+          ball_possession: { previous: { home: 50, away: 50 }, current: { home: 55, away: 45 } },
+          corner_kicks: { previous: null, current: { home: 3, away: 1 } },
+        },
+      },
+    ]);
+  });
+
+  test('an incident repeated with the same key is still new', () => {
+    const changes = getMatchChanges(createMatch({ events: [goal(12, 'home')] }), createMatch({ events: [goal(12, 'home'), goal(12, 'home')] }), AT);
+    assert.deepEqual(
+      changes.map(({ type }) => type),
+      ['incident']
+    );
+  });
+
+  test('isMatchFinished knows every final status', () => {
+    assert.ok(isMatchFinished({ status: 'finished' }));
+    assert.ok(isMatchFinished({ status: 'after_penalties' }));
+    assert.ok(!isMatchFinished({ status: 'half_time' }));
+    assert.ok(!isMatchFinished(undefined));
+  });
+});
@@ -0,0 +1,254 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  SCHEMA_VERSION,
+  getEventType,
+  isMatchDataComplete,
+  normalizeEvents,
+  normalizeH2h,
+  normalizeInformation,
+  normalizeLineups,
+  normalizeMatchData,
+  normalizeOdds,
+  normalizeStatistics,
+  parseFixtureKickoff,
+  parseKickoff,
+  parseMatchId,
+  parseMinute,
+  parseOddsPrice,
+  parseScore,
+  parseShortDate,
+  parseStatisticValue,
+  parseTeamId,
+  toInteger,
+  toKey,
+} from '../src/normalize/index.js';
+
+describe('parsers', () => {
+  test('toKey turns a label into snake_case without accents', () => {
+    assert.equal(toKey('Ball Possession'), 'ball_possession');
+    assert.equal(toKey('  Pénalty (Missed) '), 'penalty_missed');
+    assert.equal(toKey(''), null);
+    assert.equal(toKey(undefined), null);
+  });
+
+  test('toInteger ignores thousands separators', () => {
+    assert.equal(toInteger('60,704'), 60704);
+    assert.equal(toInteger('3'), 3);
+    assert.equal(toInteger('-'), null);
+    assert.equal(toInteger(null), null);
+  });
+
+  test('parseKickoff adds the offset of the time zone', () => {
+    assert.equal(parseKickoff('12.05.2024 15:00', 'Europe/London'), '2024-05-12T15:00:00+01:00');
+    assert.equal(parseKickoff('01.01.2024 20:45', 'Europe/London'), '2024-01-01T20:45:00+00:00');
+    assert.equal(parseKickoff('01.01.2024 20:45', 'America/New_York'), '2024-01-01T20:45:00-05:00');
+    assert.equal(parseKickoff('Postponed'), null);
+  });
+
+  test('parseFixtureKickoff picks the year closest to now', () => {
+    const now = Date.UTC(2024, 11, 20);
+    assert.equal(parseFixtureKickoff('03.01. 15:00', now, 'UTC'), '2025-01-03T15:00:00+00:00');
+    assert.equal(parseFixtureKickoff('19.12. 15:00', now, 'UTC'), '2024-12-19T15:00:00+00:00');
+    assert.equal(parseFixtureKickoff('19.12.2023 15:00', now, 'UTC'), '2023-12-19T15:00:00+00:00');
+  });
+
+  test('parseTeamId and parseMatchId read ids from urls', () => {
+    assert.equal(parseTeamId('https://www.flashscore.com/team/arsenal/hA1Zm19f/'), 'hA1Zm19f');
+    assert.equal(parseTeamId(null), null);
+    assert.equal(parseMatchId('https://www.flashscore.com/match/KjLqRtUv/#/match-summary'), 'KjLqRtUv');
+    assert.equal(parseMatchId('g_1_KjLqRtUv'), 'KjLqRtUv');
+    assert.equal(parseMatchId('g_3_AbCdEfGh'), 'AbCdEfGh');
+    assert.equal(parseMatchId('not a match'), null);
+  });
+
+  test('parseScore, parseMinute and parseShortDate', () => {
+    assert.deepEqual(parseScore('(2 - 1)'), { home: 2, away: 1 });
+    assert.equal(parseScore('-'), null);
+    assert.deepEqual(parseMinute("90+3'"), { minute: 90, addedTime: 3 });
+    assert.deepEqual(parseMinute("45'"), { minute: 45, addedTime: null });
+    assert.deepEqual(parseMinute(''), { minute: null, addedTime: null });
+    assert.equal(parseShortDate('05.03.24'), '2024-03-05');
+    assert.equal(parseShortDate('5.3.2024'), '2024-03-05');
+  });
+
+  test('parseStatisticValue splits compound values', () => {
+    assert.deepEqual(parseStatisticValue('58%'), { value: 58 });
+    assert.deepEqual(parseStatisticValue('85% (456/537)'), { value: 85, completed: 456, attempted: 537 });
+    assert.deepEqual(parseStatisticValue('456/537 (85%)'), { value: 85, completed: 456, attempted: 537 });
+    assert.deepEqual(parseStatisticValue('12 (5)'), { value: 12, detail: 5 });
+    assert.deepEqual(parseStatisticValue('1.45'), { value: 1.45 });
+  });
+
+  test('parseOddsPrice converts fractional and american prices', () => {
+    assert.equal(parseOddsPrice('1.95'), 1.95);
+    assert.equal(parseOddsPrice('5/2'), 3.5);
+    assert.equal(parseOddsPrice('+150'), 2.5);
+    assert.equal(parseOddsPrice('-200'), 1.5);
+    assert.equal(parseOddsPrice('-'), null);
+  });
+
+  test('getEventType reads the icon and the detail', () => {
+    assert.equal(getEventType('Goal', 'Penalty'), 'penalty_goal');
+    assert.equal(getEventType('Own goal', null), 'own_goal');
+    assert.equal(getEventType('Yellow Card', null), 'yellow_card');
+    assert.equal(getEventType('Yellow card / Red card', 'Second yellow card'), 'second_yellow_card');
+    assert.equal(getEventType('VAR', 'Goal cancelled'), 'var');
+    assert.equal(getEventType('Substitution - In', null), 'substitution');
+    assert.equal(getEventType('Whistle', null), 'other');
+  });
+});
+
+describe('normalizers', () => {
+  test('normalizeInformation splits the referee and venue', () => {
+    const information = normalizeInformation([
+      { category: 'Referee:', value: 'Oliver M. (Eng)' },
+      { category: 'Venue:', value: 'Emirates Stadium (London)' },
+      { category: 'Attendance:', value: '60,704' },
+      { category: 'TV Channel:', value: 'Sky' },
+    ]);
+    assert.deepEqual(information, {
+      referee: 'Oliver M.',
+      refereeCountry: 'Eng',
+      venue: 'Emirates Stadium',
+      city: 'London',
+      capacity: null,
+      attendance: 60704,
+      tv_channel: 'Sky',
+    });
+  });
+
+  test('normalizeStatistics keys the statistics and adds the compound parts', () => {
+    const statistics = normalizeStatistics([
+      { category: 'Ball Possession', homeValue: '58%', awayValue: '42%' },
+      { category: 'Passes', homeValue: '85% (456/537)', awayValue: '80% (300/375)' },
+    ]);
+    assert.deepEqual(statistics, {
+      ball_possession: { home: 58, away: 42 },
+      passes: { home: 85, away: 80 },
+      passes_completed: { home: 456, away: 300 },
+      passes_attempted: { home: 537, away: 375 },
+    });
+  });
+
+  test('normalizeEvents keeps a running score and leaves out the shootout', () => {
+    const events = normalizeEvents([
+      { period: '1st Half', side: 'home', time: "12'", icon: 'Goal', player: 'Saka', assist: '(Odegaard)' },
+      { period: '2nd Half', side: 'away', time: "90+2'", icon: 'Goal', player: 'Salah', score: '1 - 1' },
+      { period: 'Penalties', side: 'home', time: '', icon: 'Goal', detail: 'Penalty', player: 'Rice' },
+    ]);
+    assert.deepEqual(
+      events.map(({ type, period, minute, addedTime, assist, score }) => ({ type, period, minute, addedTime, assist, score })),
+      [
+        { type: 'goal', period: '1st_half', minute: 12, addedTime: null, assist: 'Odegaard', score: { home: 1, away: 0 } },
+        { type: 'goal', period: '2nd_half', minute: 90, addedTime: 2, assist: null, score: { home: 1, away: 1 } },
+        { type: 'penalty_goal', period: 'penalties', minute: null, addedTime: null, assist: null, score: { home: 1, away: 1 } },
+      ]
+    );
+  });
+
+  test('normalizeLineups sorts the sections per side', () => {
+    const lineups = normalizeLineups({
+      formation: { home: '4-3-3', away: '' },
+      sections: [
+        { title: 'Starting Lineups', home: [{ number: '1', name: 'Raya', url: '/player/raya/AbCd1234/' }], away: [] },
+        { title: 'Missing Players', home: [], away: [{ name: 'Alisson', reason: '(Injury)' }] },
+      ],
+    });
+    assert.equal(lineups.home.formation, '4-3-3');
+    assert.equal(lineups.away.formation, null);
+    assert.deepEqual(lineups.home.startingXI, [{ number: 1, name: 'Raya', id: 'AbCd1234', url: '/player/raya/AbCd1234/', position: null, reason: null }]);
+    assert.equal(lineups.away.missingPlayers[0].reason, 'Injury');
+    assert.equal(normalizeLineups(null), null);
+  });
+
+  test('normalizeH2h builds the forms from the tabs and the meetings from the home view', () => {
+    const home = { name: 'Arsenal' };
+    const away = { name: 'Liverpool' };
+    const row = (reference, date, homeName, awayName, homeGoals, awayGoals) => ({
+      reference: `g_1_${reference}`,
+      date,
+      home: { name: homeName },
+      away: { name: awayName },
+      result: { home: homeGoals, away: awayGoals },
+    });
+    const h2h = {
+      overall: [
+        { rows: [row('AAAAAAA1', '01.05.24', 'Arsenal', 'Chelsea', '2', '0'), row('AAAAAAA2', '20.04.24', 'Spurs', 'Arsenal', '1', '1')] },
+        { rows: [row('BBBBBBB1', '02.05.24', 'Everton', 'Liverpool', '2', '1')] },
+        { rows: [row('CCCCCCC1', '01.01.24', 'Liverpool', 'Arsenal', '3', '1')] },
+      ],
+      home: [{ rows: [row('AAAAAAA1', '01.05.24', 'Arsenal', 'Chelsea', '2', '0'), row('AAAAAAA3', '10.04.24', 'Arsenal', 'Fulham', '0', '1')] }],
+      away: [{ rows: [row('BBBBBBB1', '02.05.24', 'Everton', 'Liverpool', '2', '1')] }],
+    };
+
+    const result = normalizeH2h(h2h, { home, away });
+    assert.deepEqual(
+      result.home.overall.map(({ matchId, venue, outcome }) => [matchId, venue, outcome]),
+      [
+        ['AAAAAAA1', 'home', 'W'],
+        ['AAAAAAA2', 'away', 'D'],
+      ]
+    );
+    assert.deepEqual(
+      result.home.home.map(({ matchId, outcome }) => [matchId, outcome]),
+      [
+        ['AAAAAAA1', 'W'],
+        ['AAAAAAA3', 'L'],
+      ]
+    );
+    assert.deepEqual(
+      result.home.away.map(({ matchId }) => matchId),
+      ['AAAAAAA2']
+    );
+    assert.deepEqual(result.away.away, [{ matchId: 'BBBBBBB1', date: '2024-05-02', venue: 'away', score: { home: 2, away: 1 }, outcome: 'L' }]);
+    assert.deepEqual(result.meetings, [{ matchId: 'CCCCCCC1', date: '2024-01-01', venue: 'away', score: { home: 3, away: 1 }, outcome: 'L' }]);
+
+    // Data scraped before the tabs is the list of overall sections
+    assert.deepEqual(normalizeH2h(h2h.overall, { home, away }).home.away, result.home.away);
+    assert.equal(normalizeH2h(h2h, { home, away }, 1).home.overall.length, 1);
+  });
+
+  test('normalizeOdds flattens the markets', () => {
+    const odds = normalizeOdds([
+      {
+        market: 'over_under',
+        selections: ['over', 'under'],
+        rows: [
+          { bookmaker: 'bet365', line: '2.5', prices: [{ text: '1.95', title: '2.10 » 1.95' }, { text: '1.85' }] },
+          { bookmaker: null, line: '2.5', prices: [] },
+        ],
+      },
+    ]);
+    assert.deepEqual(odds, [
+      { market: 'over_under', line: 2.5, bookmaker: 'bet365', selection: 'over', opening: 2.1, closing: 1.95 },
+      { market: 'over_under', line: 2.5, bookmaker: 'bet365', selection: 'under', opening: 1.85, closing: 1.85 },
+    ]);
+  });
+
+  test('normalizeMatchData builds a complete match', () => {
+    const match = normalizeMatchData(
+      'KjLqRtUv',
+      {
+        stage: 'ENGLAND: Premier League - Round 5',
+        date: '12.05.2024 15:00',
+        status: 'Finished',
+        home: { name: 'Arsenal', url: '/team/arsenal/hA1Zm19f/' },
+        away: { name: 'Liverpool', url: '/team/liverpool/lId4TMwf/' },
+        result: { home: '2', away: '1', periods: [{ home: '1', away: '0' }] },
+      },
+      { sport: 'football' }
+    );
+
+    assert.equal(match.schemaVersion, SCHEMA_VERSION);
+    assert.equal(match.status, 'finished');
+    assert.equal(match.home.id, 'hA1Zm19f');
+    assert.deepEqual(match.result, { home: 2, away: 1, regulationTime: null, penalties: null, periods: [{ home: 1, away: 0, tiebreak: null }] });
+    assert.deepEqual(match.events, []);
+    assert.equal(match.lineups, null);
+    assert.ok(isMatchDataComplete(match));
+    assert.ok(!isMatchDataComplete(match, { lineups: true }));
+    assert.ok(!isMatchDataComplete({ ...match, result: { ...match.result, home: null } }));
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { createPagePool, mapWithPagePool } from '../src/scraper/pool/index.js';
+
+// Stands in for a Puppeteer browser, openPage only needs these page methods
+const createBrowser = () => {
+  const pages = [];
+  return {
+    pages,
+    newPage: async () => {
+      let closed = false;
+      const page = {
+        emulateTimezone: async () => {},
+        evaluateOnNewDocument: async () => {},
+        isClosed: () => closed,
+        close: async () => {
+          closed = true;
+        },
+      };
+      pages.push(page);
+      return page;
+    },
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const limiter = async () => {};
+
+describe('page pool', () => {
+  test('mapWithPagePool keeps the item order and reports results in order', async () => {
+    const browser = createBrowser();
+    const reported = [];
+
+    const results = await mapWithPagePool(
+      browser,
+      [30, 10, 20],
+      async (page, delay, index) => {
+        await sleep(delay);
+        return index * 2;
+      },
+      { concurrency: 2, limiter, onResult: (result, item, index) => reported.push(index) }
+    );
+
+    assert.deepEqual(results, [0, 2, 4]);
+    assert.deepEqual(reported, [0, 1, 2]);
+    assert.equal(browser.pages.length, 2);
+    assert.ok(browser.pages.every((page) => page.isClosed()));
+  });
+
+  test('mapWithPagePool rejects with the first failure after the running items finished', async () => {
+    const browser = createBrowser();
+    const started = [];
+
+    await assert.rejects(
+      mapWithPagePool(
+        browser,
+        [1, 2, 3, 4, 5],
+        async (page, item) => {
+          started.push(item);
+          await sleep(item === 1 ? 5 : 20);
+          if (item === 1) throw new Error('boom');
+          return item;
+        },
+        { concurrency: 2, limiter }
+      ),
+      { message: 'boom' }
+    );
+
+    assert.deepEqual(started, [1, 2]);
+    assert.ok(browser.pages.every((page) => page.isClosed()));
+  });
+
+  test('mapWithPagePool stops handing out items once shouldStop is true', async () => {
+    const browser = createBrowser();
+    let done = 0;
+
+    const results = await mapWithPagePool(browser, [1, 2, 3, 4], async (page, item) => (done++, item), { concurrency: 1, limiter, shouldStop: () => done >= 2 });
+
+    assert.deepEqual(results, [1, 2]);
+  });
+
+  test('the pool replaces closed pages and rejects waiting tasks once closed', async () => {
+    const browser = createBrowser();
+    const pool = await createPagePool(browser, { concurrency: 1 });
+
+    await pool.run(async (page) => page.close());
+    assert.equal(browser.pages.length, 2);
+
+    const running = pool.run(() => sleep(10));
+    const waiting = pool.run(async () => 'never');
+    await pool.close();
+
+    await assert.rejects(waiting, { message: 'The page pool is closed' });
+    await running;
+    await assert.rejects(pool.run(async () => 'never'), { message: 'The page pool is closed' });
+    assert.ok(browser.pages.every((page) => page.isClosed()));
+  });
+});
@@ -0,0 +1,34 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { ResolveError, findByName } from '../src/cli/resolve/index.js';
+
+const LEAGUES = [
+  { name: 'Premier League', url: 'https://www.flashscore.com/football/england/premier-league/' },
+  { name: 'Premier League 2', url: 'https://www.flashscore.com/football/england/premier-league-2/' },
+  { name: 'Championship', url: 'https://www.flashscore.com/football/england/championship/' },
+  { name: 'League One', url: 'https://www.flashscore.com/football/england/league-one/' },
+  { name: 'Süper Lig', url: 'https://www.flashscore.com/football/turkey/super-lig/' },
+];
+
+describe('findByName', () => {
+  test('matches names and url slugs exactly, ignoring case and accents', () => {
+    assert.equal(findByName(LEAGUES, 'premier league', 'league'), LEAGUES[0]);
+    assert.equal(findByName(LEAGUES, 'premier-league-2', 'league'), LEAGUES[1]);
+    assert.equal(findByName(LEAGUES, 'Super Lig', 'league'), LEAGUES[4]);
+  });
+
+  test('accepts a single partial match', () => {
+    assert.equal(findByName(LEAGUES, 'champ', 'league'), LEAGUES[2]);
+  });
+
+  test('rejects an ambiguous partial match', () => {
+    assert.throws(() => findByName(LEAGUES, 'premier', 'league'), (error) => error instanceof ResolveError && /ambiguous/.test(error.message));
+  });
+
+  test('corrects small typos and suggests names otherwise', () => {
+    assert.equal(findByName(LEAGUES, 'Chamionship', 'league'), LEAGUES[2]);
+    assert.throws(() => findByName(LEAGUES, 'Bundesliga', 'league'), (error) => error instanceof ResolveError && /Did you mean/.test(error.message));
+    assert.throws(() => findByName([], 'Bundesliga', 'league'), /No league entries available/);
+  });
+});
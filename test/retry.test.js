@@ -0,0 +1,83 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { HttpError, NavigationTimeoutError, ScraperError, SelectorNotFoundError, classifyError } from '../src/scraper/errors/index.js';
+import { withRetry } from '../src/scraper/retry/index.js';
+
+const createTimeoutError = (message) => Object.assign(new Error(message), { name: 'TimeoutError' });
+
+describe('errors', () => {
+  test('classifyError sorts Puppeteer timeouts', () => {
+    const navigation = classifyError(createTimeoutError('Navigation timeout of 30000 ms exceeded'), { url: 'https://example.com', stage: 'match' });
+    assert.ok(navigation instanceof NavigationTimeoutError);
+    assert.equal(navigation.url, 'https://example.com');
+    assert.equal(navigation.stage, 'match');
+    assert.equal(navigation.cause.name, 'TimeoutError');
+
+    assert.ok(classifyError(createTimeoutError('Waiting for selector `.row` failed')) instanceof SelectorNotFoundError);
+    assert.equal(classifyError(new Error('boom')).constructor, ScraperError);
+    assert.equal(classifyError('boom').message, 'boom');
+  });
+
+  test('classifyError keeps scraper errors and only fills in what is missing', () => {
+    const error = new SelectorNotFoundError('missing', { stage: 'match-list' });
+    assert.equal(classifyError(error, { url: 'https://example.com', stage: 'match' }), error);
+    assert.equal(error.url, 'https://example.com');
+    assert.equal(error.stage, 'match-list');
+  });
+
+  test('HttpError is only retryable for rate limits and server errors', () => {
+    assert.ok(new HttpError('Too many requests', { status: 429 }).retryable);
+    assert.ok(new HttpError('Bad gateway', { status: 502 }).retryable);
+    assert.ok(!new HttpError('Not found', { status: 404 }).retryable);
+  });
+});
+
+describe('withRetry', () => {
+  test('retries until the task succeeds', async () => {
+    const retries = [];
+    const result = await withRetry(
+      async (attempt) => {
+        if (attempt < 3) throw new Error(`attempt ${attempt}`);
+        return attempt;
+      },
+      { retries: 2, delay: 1, onRetry: (error, attempt) => retries.push([error.message, attempt]) }
+    );
+
+    assert.equal(result, 3);
+    assert.deepEqual(retries, [
+      ['attempt 1', 1],
+      ['attempt 2', 2],
+    ]);
+  });
+
+  test('throws the classified error once the retries are used up', async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          attempts++;
+          throw new Error('boom');
+        },
+        { retries: 1, delay: 1, url: 'https://example.com', stage: 'seasons' }
+      ),
+      (error) => error instanceof ScraperError && error.attempts === 2 && error.stage === 'seasons' && error.url === 'https://example.com'
+    );
+    assert.equal(attempts, 2);
+  });
+
+  test('does not retry errors that are not retryable', async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          attempts++;
+          throw new HttpError('Not found', { status: 404 });
+        },
+        { retries: 3, delay: 1 }
+      ),
+      HttpError
+    );
+    assert.equal(attempts, 1);
+  });
+});
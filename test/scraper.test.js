@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import assert from 'assert/strict';
+import { fileURLToPath } from 'url';
+import { after, before, describe, test } from 'node:test';
+import puppeteer from 'puppeteer';
+
+import { configureFixtures } from '../src/scraper/fixtures/index.js';
+import { getListOfCountries } from '../src/scraper/services/countries/index.js';
+import { getListOfLeagues } from '../src/scraper/services/leagues/index.js';
+import { getListOfSeasons } from '../src/scraper/services/seasons/index.js';
+import { getMatchData, getMatchList } from '../src/scraper/services/matches/index.js';
+
+/*
+ * Runs the scraper services against the fixtures in test/fixtures, recorded from a sample country, league, season and match.
+ * "npm test" replays them, "npm run test:record" records them again from Flashscore, e.g. after a redesign.
+ */
+
+const FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const FIXTURES_MODE = process.env.FIXTURES_MODE || 'replay';
+const TIMEOUT = 120000;
+
+const hasFixtures = fs.existsSync(FIXTURES_PATH) && fs.readdirSync(FIXTURES_PATH).some((file) => file.endsWith('.json'));
+const skip = FIXTURES_MODE === 'replay' && !hasFixtures && `no fixtures in ${FIXTURES_PATH}, record them with "npm run test:record"`;
+
+describe('scraper services', { timeout: TIMEOUT * 6, skip }, () => {
+  let browser;
+  let country;
+  let league;
+  let seasons;
+  let matchId;
+
+  before(async () => {
+    configureFixtures({ mode: FIXTURES_MODE, fixturesPath: FIXTURES_PATH });
+    browser = await puppeteer.launch({ headless: 'shell' });
+  });
+
+  after(async () => {
+    await browser?.close();
+  });
+
+  test('lists the countries of the sport', { timeout: TIMEOUT }, async () => {
+    const countries = await getListOfCountries(browser, 'football');
+    country = countries.find(({ name }) => name === 'England');
+
+    assert.ok(countries.length > 1);
+    assert.ok(country, 'England is listed');
+    assert.match(country.id, /^\w+$/);
+    assert.match(country.url, /^https:\/\/www\.flashscore\.com\/football\/england\/?$/);
+  });
+
+  test('lists the leagues of a country', { timeout: TIMEOUT }, async () => {
+    const leagues = await getListOfLeagues(browser, country.id, 'football');
+    league = leagues.find(({ name }) => name === 'Premier League');
+
+    assert.ok(league, 'Premier League is listed');
+    assert.match(league.url, /\/football\/england\/premier-league\/?$/);
+  });
+
+  test('lists the seasons of a league, most recent first', { timeout: TIMEOUT }, async () => {
+    seasons = await getListOfSeasons(browser, league.url);
+
+    assert.ok(seasons.length > 1);
+    seasons.forEach(({ name, url }) => {
+      assert.match(name, /\d{4}\/\d{4}$/);
+      assert.match(url, /\/football\/england\/premier-league/);
+    });
+    assert.ok(seasons[0].name > seasons[1].name);
+  });
+
+  test('lists the matches of a season', { timeout: TIMEOUT * 2 }, async () => {
+    // The current season can still be without results, the first season that has some is sampled
+    let matches = [];
+    for (const { url } of seasons.slice(0, 2)) {
+      matches = await getMatchList(browser, url);
+      if (matches.length) break;
+    }
+    matchId = matches[0]?.id;
+
+    assert.ok(matches.length > 0);
+    matches.forEach(({ id, status }) => {
+      assert.match(id, /^[A-Za-z0-9]{8}$/);
+      assert.equal(typeof status, 'string');
+    });
+  });
+
+  test('scrapes a match', { timeout: TIMEOUT }, async () => {
+    const match = await getMatchData(browser, matchId, { sport: 'football' });
+
+    assert.match(match.date, /\d{2}\.\d{2}\.\d{4} \d{2}:\d{2}/);
+    assert.ok(match.home.name);
+    assert.ok(match.away.name);
+    assert.match(match.home.url, /\/team\//);
+    assert.match(match.result.home, /^\d+$/);
+    assert.match(match.result.away, /^\d+$/);
+    assert.ok(match.information.some(({ category }) => /referee/i.test(category)));
+    assert.ok(match.statistics.length > 5);
+    match.statistics.forEach(({ category, homeValue, awayValue }) => assert.ok(category && homeValue !== undefined && awayValue !== undefined));
+    assert.ok(match.events.some(({ player }) => player));
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { SelectorNotFoundError } from '../src/scraper/errors/index.js';
+import { getListOfCountries } from '../src/scraper/services/countries/index.js';
+import { getListOfLeagues } from '../src/scraper/services/leagues/index.js';
+import { getListOfSeasons } from '../src/scraper/services/seasons/index.js';
+
+// Stands in for a Puppeteer browser whose pages load but never show the expected elements
+const createBrowser = () => {
+  const pages = [];
+  return {
+    pages,
+    newPage: async () => {
+      let closed = false;
+      const page = {
+        emulateTimezone: async () => {},
+        evaluateOnNewDocument: async () => {},
+        goto: async () => null,
+        url: () => 'https://www.flashscore.com/football/',
+        $: async () => null,
+        waitForSelector: async () => {
+          throw Object.assign(new Error('Waiting for selector failed'), { name: 'TimeoutError' });
+        },
+        evaluate: async () => {
+          throw new Error('Execution context was destroyed');
+        },
+        isClosed: () => closed,
+        close: async () => {
+          closed = true;
+        },
+      };
+      pages.push(page);
+      return page;
+    },
+  };
+};
+
+describe('list services', () => {
+  test('close their page when an attempt fails', async () => {
+    const browser = createBrowser();
+
+    await assert.rejects(getListOfCountries(browser, 'football'), SelectorNotFoundError);
+    await assert.rejects(getListOfLeagues(browser, 'lmenu_198', 'football'), SelectorNotFoundError);
+    await assert.rejects(getListOfSeasons(browser, 'https://www.flashscore.com/football/england/premier-league'), /Execution context was destroyed/);
+
+    assert.equal(browser.pages.length, 3);
+    assert.ok(browser.pages.every((page) => page.isClosed()));
+  });
+});
@@ -0,0 +1,35 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+
+import { SPORT_NAMES, getSport } from '../src/scraper/sports/index.js';
+
+// Stands in for a match statistics page, evaluate returns the rows the page would
+const createPage = (rows) => ({ evaluate: async () => rows });
+
+describe('sports', () => {
+  test('every sport has a result and a statistics extractor', () => {
+    SPORT_NAMES.forEach((sport) => {
+      const { extractResult, extractStatistics } = getSport(sport);
+      assert.equal(typeof extractResult, 'function');
+      assert.equal(typeof extractStatistics, 'function');
+    });
+    assert.throws(() => getSport('cricket'), /Unsupported sport "cricket"/);
+  });
+
+  test('the key map of the sport renames its statistics', async () => {
+    const rows = [
+      { category: 'Shots on Goal', homeValue: '6', awayValue: '3' },
+      { category: 'Ball Possession', homeValue: '58%', awayValue: '42%' },
+    ];
+    assert.deepEqual(
+      (await getSport('football').extractStatistics(createPage(rows))).map(({ category }) => category),
+      ['shots_on_target', 'Ball Possession']
+    );
+
+    const basketball = await getSport('basketball').extractStatistics(createPage([{ category: '3-Point Field G. Made', homeValue: '12', awayValue: '9' }]));
+    assert.deepEqual(basketball, [{ category: 'three_pointers_made', homeValue: '12', awayValue: '9' }]);
+
+    const handball = await getSport('handball').extractStatistics(createPage([{ category: '7m Goals', homeValue: '4', awayValue: '2' }]));
+    assert.equal(handball[0].category, 'seven_meter_goals');
+  });
+});
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { SQLITE_FILE_NAME } from '../src/constants/index.js';
+import { createSqliteStore, createSqliteWriter, getSeasonId, toPathId } from '../src/files/sqlite/index.js';
+
+const LEAGUE_URL = 'https://www.flashscore.com/football/england/premier-league/';
+
+const country = { name: 'England', url: 'https://www.flashscore.com/football/england/' };
+const league = { name: 'Premier League', url: LEAGUE_URL };
+
+const createMatch = (matchId) => ({
+  schemaVersion: 3,
+  stage: 'Round 1',
+  kickoff: '2024-05-12T15:00:00+00:00',
+  status: 'finished',
+  home: { id: 'hA1Zm19f', name: 'Arsenal', url: null, image: null },
+  away: { id: 'lId4TMwf', name: 'Liverpool', url: null, image: null },
+  result: { home: 2, away: 1, regulationTime: null, penalties: null, periods: [] },
+  information: { referee: 'Oliver M.' },
+  statistics: { corner_kicks: { home: 7, away: 2 } },
+  playerStats: null,
+});
+
+const writeSeason = (outputPath, season, matchIds) => {
+  const writer = createSqliteWriter(outputPath, 'season', { country, league, season });
+  writer.open();
+  matchIds.forEach((matchId) => writer.append(matchId, createMatch(matchId)));
+  writer.close();
+};
+
+describe('sqlite', () => {
+  let outputPath;
+
+  before(() => {
+    outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flashscore-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(outputPath, { recursive: true, force: true });
+  });
+
+  test('toPathId and getSeasonId', () => {
+    assert.equal(toPathId(LEAGUE_URL), 'england/premier-league');
+    assert.equal(toPathId('https://www.flashscore.com/basketball/usa/nba/'), 'basketball/usa/nba');
+    assert.equal(getSeasonId('england/premier-league', 'Premier League 2023/2024'), 'england/premier-league/2023-2024');
+    assert.equal(getSeasonId('usa/mls', 'MLS 2024'), 'usa/mls/2024');
+  });
+
+  test('a season keeps its id once it is archived', () => {
+    // The current season links to the bare league url, the next year it moves to its archive url
+    writeSeason(outputPath, { name: 'Premier League 2023/2024', url: LEAGUE_URL }, ['AAAAAAA1']);
+    writeSeason(outputPath, { name: 'Premier League 2024/2025', url: LEAGUE_URL }, ['BBBBBBB1']);
+    writeSeason(outputPath, { name: 'Premier League 2023/2024', url: `${LEAGUE_URL}premier-league-2023-2024/` }, ['AAAAAAA2']);
+
+    const store = createSqliteStore(path.join(outputPath, `${SQLITE_FILE_NAME}.sqlite`));
+    try {
+      assert.deepEqual(
+        store.getSeasons('england/premier-league').map(({ id, name }) => [id, name]),
+        [
+          ['england/premier-league/2024-2025', 'Premier League 2024/2025'],
+          ['england/premier-league/2023-2024', 'Premier League 2023/2024'],
+        ]
+      );
+      assert.deepEqual(
+        store.getSeasonMatches('england/premier-league/2023-2024').map(({ matchId }) => matchId),
+        ['AAAAAAA1', 'AAAAAAA2']
+      );
+      assert.equal(store.getSeason('england/premier-league/2023-2024').url, `${LEAGUE_URL}premier-league-2023-2024/`);
+
+      const match = store.getMatch('BBBBBBB1');
+      assert.equal(match.seasonId, 'england/premier-league/2024-2025');
+      assert.deepEqual(match.statistics, { corner_kicks: { home: 7, away: 2 } });
+      assert.deepEqual(match.information, { referee: 'Oliver M.' });
+    } finally {
+      store.close();
+    }
+  });
+});